@@ -0,0 +1,111 @@
+// app/admin-graphql.server.js
+// Admin GraphQL access that respects Shopify's cost-based rate limit. Requests
+// are paced using the `extensions.cost.throttleStatus` of the previous response
+// and retried with a backoff when Shopify answers THROTTLED.
+//
+// `graphql(query, { variables, userErrors })` returns `{ data, errors }`, where
+// `errors` is null or a list of `{ type, message, field, code }` covering both
+// GraphQL errors and the `userErrors` of the mutation named by `userErrors`.
+import { authenticate } from "./shopify.server";
+
+export const ADMIN_ERROR_TYPES = {
+  graphql: "graphql",
+  userError: "userError",
+  throttled: "throttled",
+};
+
+const MAX_THROTTLE_RETRIES = 5;
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isThrottled = (errors) => Boolean(errors?.some((error) => error.extensions?.code === "THROTTLED"));
+
+// Time until the bucket refills enough for a query of the reported cost.
+// Without cost details, falls back to exponential backoff.
+function throttleDelay(cost, attempt) {
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate) return Math.min(MIN_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  const missing = (cost.requestedQueryCost ?? 0) - status.currentlyAvailable;
+  return Math.min(Math.max(Math.ceil((missing / status.restoreRate) * 1000), MIN_BACKOFF_MS), MAX_BACKOFF_MS);
+}
+
+function toAdminError(error, type) {
+  return {
+    type,
+    message: error.message,
+    field: error.field || null,
+    code: error.code || error.extensions?.code || null,
+  };
+}
+
+// Sends one request and returns the response body `{ data, errors, extensions }`.
+// The underlying client throws on GraphQL errors and HTTP 429; both are turned
+// back into a body here. Auth responses and other failures are rethrown.
+async function sendRequest(admin, query, variables) {
+  try {
+    const response = await admin.graphql(query, { variables });
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Response) throw error;
+    if (error.body?.errors?.graphQLErrors) {
+      return { data: error.body.data ?? null, errors: error.body.errors.graphQLErrors, extensions: error.body.extensions };
+    }
+    if (error.response?.code === 429) {
+      return { data: null, errors: [{ message: "Shopify is throttling requests.", extensions: { code: "THROTTLED" } }], retryAfter: error.retryAfter };
+    }
+    throw error;
+  }
+}
+
+// Wraps an Admin API context. `admin` is a drop-in replacement whose
+// `graphql` is paced and retried the same way, so helpers that take `admin`
+// benefit too; it returns GraphQL errors in the body instead of throwing.
+export function createAdminGraphqlClient(admin) {
+  let lastCost = null;
+
+  async function execute(query, variables) {
+    for (let attempt = 0; ; attempt += 1) {
+      const status = lastCost?.throttleStatus;
+      if (status && status.currentlyAvailable < (lastCost.requestedQueryCost ?? 0)) {
+        await sleep(throttleDelay(lastCost, attempt));
+      }
+      const body = await sendRequest(admin, query, variables);
+      lastCost = body.extensions?.cost || null;
+      if (!isThrottled(body.errors) || attempt >= MAX_THROTTLE_RETRIES) return body;
+      console.warn(`Admin API throttled, retrying (attempt ${attempt + 1} of ${MAX_THROTTLE_RETRIES})`);
+      await sleep(body.retryAfter ? body.retryAfter * 1000 : throttleDelay(lastCost, attempt));
+      lastCost = null;
+    }
+  }
+
+  async function graphql(query, { variables, userErrors } = {}) {
+    const body = await execute(query, variables);
+    if (body.errors?.length) {
+      const type = isThrottled(body.errors) ? ADMIN_ERROR_TYPES.throttled : ADMIN_ERROR_TYPES.graphql;
+      return { data: body.data ?? null, errors: body.errors.map((error) => toAdminError(error, type)) };
+    }
+    const mutationErrors = userErrors ? body.data?.[userErrors]?.userErrors || [] : [];
+    if (mutationErrors.length > 0) {
+      return { data: body.data, errors: mutationErrors.map((error) => toAdminError(error, ADMIN_ERROR_TYPES.userError)) };
+    }
+    return { data: body.data, errors: null };
+  }
+
+  return {
+    admin: {
+      ...admin,
+      graphql: async (query, options) => new Response(JSON.stringify(await execute(query, options?.variables))),
+    },
+    graphql,
+  };
+}
+
+// `authenticate.admin` with the context's `admin` replaced by a throttle-aware
+// one and a `graphql` function returning `{ data, errors }`.
+export async function authenticateAdmin(request) {
+  const context = await authenticate.admin(request);
+  const client = createAdminGraphqlClient(context.admin);
+  return { ...context, admin: client.admin, graphql: client.graphql };
+}
@@ -0,0 +1,54 @@
+// app/api-auth.server.js
+// Authenticates the headless /api routes. Callers send an app-issued token as
+// `Authorization: Bearer <token>`; requests then act through the shop's offline
+// session, like the scheduler and job worker, so no one needs the admin open.
+import { createHash, randomBytes } from "crypto";
+import { unauthenticated } from "./shopify.server";
+import { createAdminGraphqlClient } from "./admin-graphql.server";
+import { createApiToken, findActiveApiToken, markApiTokenUsed } from "./models/ApiToken.server";
+import { API_TOKEN_PREFIX } from "./api-tokens";
+
+const hashApiToken = (token) => createHash("sha256").update(token).digest("hex");
+
+// JSON error response in the API's `{ errors: [{ field, message }] }` shape
+export function apiErrorResponse(status, errors) {
+  const list = typeof errors === "string" ? [{ message: errors }] : errors;
+  return Response.json({ errors: list.map(({ field, message }) => (field ? { field, message } : { message })) }, { status });
+}
+
+// Creates a token for the shop. Returns `{ apiToken, token }`; `token` is the
+// only copy of the secret and must be shown to the user now.
+export async function issueApiToken({ shop, name, createdBy }) {
+  const token = `${API_TOKEN_PREFIX}${randomBytes(32).toString("base64url")}`;
+  const apiToken = await createApiToken({ shop, name, tokenHash: hashApiToken(token), tokenHint: token.slice(-4), createdBy });
+  return { apiToken, token };
+}
+
+// Returns `{ shop, apiToken, admin, graphql }` with the same throttle-aware
+// client as `authenticateAdmin`. Throws a 401 or 403 JSON response otherwise.
+export async function authenticateApiRequest(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get("Authorization") || "");
+  if (!match) {
+    throw apiErrorResponse(401, "Send an API token in the Authorization header as \"Bearer <token>\".");
+  }
+  const apiToken = await findActiveApiToken(hashApiToken(match[1]));
+  if (!apiToken) {
+    throw apiErrorResponse(401, "The API token is not valid or has been revoked.");
+  }
+
+  let admin;
+  try {
+    ({ admin } = await unauthenticated.admin(apiToken.shop));
+  } catch (error) {
+    console.error(`API: no offline session for ${apiToken.shop}:`, error);
+    throw apiErrorResponse(403, "The app is not installed on this store.");
+  }
+
+  try {
+    await markApiTokenUsed(apiToken.id);
+  } catch (error) {
+    console.error(`API: could not record use of token ${apiToken.id}:`, error);
+  }
+  const client = createAdminGraphqlClient(admin);
+  return { shop: apiToken.shop, apiToken, admin: client.admin, graphql: client.graphql };
+}
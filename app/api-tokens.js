@@ -0,0 +1,7 @@
+// app/api-tokens.js
+// Shared by the token page and the API authentication.
+
+// Tokens start with this prefix so they are easy to recognise, e.g. by secret scanners
+export const API_TOKEN_PREFIX = "emm_";
+
+export const MAX_API_TOKEN_NAME_LENGTH = 100;
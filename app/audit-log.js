@@ -0,0 +1,41 @@
+// app/audit-log.js
+// Shared by the audit page and the server code that records entries.
+
+export const AUDIT_ACTIONS = {
+  duplicateMenu: "Duplicate",
+  importMenu: "Import",
+  importBundle: "Bundle import",
+  exportMenu: "Export",
+  exportAllMenus: "Export all menus",
+  editMenu: "Edit",
+  deleteMenu: "Delete",
+  restoreSnapshot: "Restore snapshot",
+  findReplace: "Find and replace",
+  fixLink: "Link fix",
+  createSchedule: "Schedule swap",
+  cancelSchedule: "Cancel swap",
+  endSchedule: "End swap",
+  scheduledSwapStart: "Scheduled swap started",
+  scheduledSwapEnd: "Scheduled swap ended",
+  createFromTemplate: "Create from template",
+  createGeneratedMenu: "Generate",
+  exportTranslations: "Export translations",
+  importTranslations: "Import translations",
+  createApiToken: "Create API token",
+  revokeApiToken: "Revoke API token",
+};
+
+export const AUDIT_OUTCOMES = {
+  success: "Succeeded",
+  failure: "Failed",
+};
+
+export const staffLabel = (staff) => staff.email || staff.firstName || (staff.userId ? `User ${staff.userId}` : "Unknown");
+
+// Who started the operation: a staff member in the app, the background scheduler,
+// or a caller of the headless API
+export const AUDIT_SOURCES = {
+  app: "App",
+  scheduler: "Scheduler",
+  api: "API",
+};
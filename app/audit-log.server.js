@@ -0,0 +1,56 @@
+// app/audit-log.server.js
+// Writes the per-shop audit log. Recording an entry never fails the operation it describes.
+import { authenticate } from "./shopify.server";
+import { createAuditEntry } from "./models/MenuAuditLog.server";
+
+// Online sessions carry the staff member they belong to; otherwise only the
+// session token's subject identifies them
+export function staffFromAuth({ session, sessionToken }) {
+  const user = session?.isOnline ? session.onlineAccessInfo?.associated_user : null;
+  return {
+    userId: user?.id ? String(user.id) : sessionToken?.sub || null,
+    email: user?.email || null,
+    firstName: user?.first_name || null,
+  };
+}
+
+// The outcome fields of a route's usual `{ success, errors, message }` response
+export const responseOutcome = (body) => ({ success: Boolean(body.success), userErrors: body.errors, message: body.message });
+
+export async function recordAuditEntry(entry) {
+  try {
+    await createAuditEntry(entry);
+  } catch (error) {
+    console.error(`Failed to record audit entry for ${entry.action}:`, error);
+  }
+}
+
+// Wraps a route action or loader so the operations it performs are written to the audit log.
+// `describe({ formData, searchParams, params, body, shop })` maps the request and its JSON response to
+// `{ action, sourceMenuId, targetMenuId, success, userErrors, message }`, a list of those, or null to skip.
+export function withAuditLog(handler, describe) {
+  return async (args) => {
+    const auditRequest = args.request.method === "GET" ? null : args.request.clone();
+    const response = await handler(args);
+    if (!(response instanceof Response) || !response.headers.get("Content-Type")?.includes("application/json")) {
+      return response;
+    }
+    try {
+      const { session, sessionToken } = await authenticate.admin(args.request);
+      const entries = await describe({
+        formData: auditRequest ? await auditRequest.formData() : null,
+        searchParams: new URL(args.request.url).searchParams,
+        params: args.params,
+        body: await response.clone().json(),
+        shop: session.shop,
+      });
+      const staff = staffFromAuth({ session, sessionToken });
+      for (const entry of [entries].flat().filter(Boolean)) {
+        await recordAuditEntry({ ...entry, shop: session.shop, staff, source: "app" });
+      }
+    } catch (error) {
+      console.error("Failed to record audit entries:", error);
+    }
+    return response;
+  };
+}
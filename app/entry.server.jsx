@@ -4,9 +4,14 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startMenuScheduler } from "./menu-scheduler.server";
+import { startMenuJobWorker } from "./menu-jobs.server";
 
 export const streamTimeout = 5000;
 
+startMenuScheduler();
+startMenuJobWorker();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,14 @@
+// app/link-checker.js
+// Problem and fix names shared by the link checker page and app/link-checker.server.js
+
+export const LINK_PROBLEMS = {
+  deleted: "deleted",
+  unpublished: "unpublished",
+  invalidUrl: "invalidUrl",
+};
+
+export const LINK_FIXES = {
+  remove: "remove",
+  relink: "relink",
+  convertToUrl: "convertToUrl",
+};
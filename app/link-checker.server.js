@@ -0,0 +1,161 @@
+// app/link-checker.server.js
+// Finds menu items whose links no longer work: resources that were deleted or
+// taken off the Online Store, and web address items with malformed URLs.
+import { RESOURCE_ITEM_TYPES, URL_ITEM_TYPES, formatItemPath, isWellFormedMenuUrl } from "./menu-validation";
+import { HANDLE_RESOURCE_TYPES, chunk } from "./resource-remap.server";
+import { LINK_FIXES, LINK_PROBLEMS } from "./link-checker";
+
+const NODE_BATCH_SIZE = 50;
+
+const PUBLICATIONS_QUERY = `
+  query getPublications {
+    publications(first: 50) {
+      nodes {
+        id
+        name
+      }
+    }
+  }
+`;
+
+// Products report Online Store visibility through onlineStoreUrl, pages and
+// articles through isPublished. Collections need the Online Store publication ID.
+function buildLinkedResourcesQuery({ withPublication }) {
+  return `
+    query checkLinkedResources($ids: [ID!]!${withPublication ? ", $publicationId: ID!" : ""}) {
+      nodes(ids: $ids) {
+        id
+        ... on Product { title onlineStoreUrl }
+        ... on Collection { title ${withPublication ? "onlineStore: publishedOnPublication(publicationId: $publicationId)" : ""} }
+        ... on Page { title isPublished }
+        ... on Blog { title }
+        ... on Article { title isPublished }
+      }
+    }
+  `;
+}
+
+// Returns the Online Store publication ID, or null when it cannot be read
+async function fetchOnlineStorePublicationId(admin) {
+  try {
+    const response = await admin.graphql(PUBLICATIONS_QUERY);
+    const responseJson = await response.json();
+    if (responseJson.errors) return null;
+    return responseJson.data?.publications?.nodes?.find((publication) => publication.name === "Online Store")?.id || null;
+  } catch (error) {
+    if (error instanceof Response) throw error;
+    console.error("Could not look up the Online Store publication:", error);
+    return null;
+  }
+}
+
+function isResourcePublished(node) {
+  if (node.onlineStoreUrl !== undefined) return Boolean(node.onlineStoreUrl);
+  if (node.isPublished !== undefined) return node.isPublished;
+  if (node.onlineStore !== undefined) return node.onlineStore;
+  return true;
+}
+
+function collectCheckedResourceIds(items, ids = new Set()) {
+  for (const item of items || []) {
+    if (item.resourceId && HANDLE_RESOURCE_TYPES.includes(item.type)) ids.add(item.resourceId);
+    collectCheckedResourceIds(item.items, ids);
+  }
+  return ids;
+}
+
+// Returns a Map of resource GID -> node for every ID that still exists
+async function fetchLinkedResources(admin, ids, publicationId) {
+  const nodes = new Map();
+  const query = buildLinkedResourcesQuery({ withPublication: Boolean(publicationId) });
+  for (const batch of chunk(ids, NODE_BATCH_SIZE)) {
+    const response = await admin.graphql(query, { variables: { ids: batch, ...(publicationId ? { publicationId } : {}) } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(`Failed to check linked resources: ${responseJson.errors.map((e) => e.message).join(", ")}`);
+    }
+    for (const node of responseJson.data?.nodes || []) {
+      if (node) nodes.set(node.id, node);
+    }
+  }
+  return nodes;
+}
+
+// Checks every item of the given menus (fetched with item IDs).
+// Returns `{ issues, collectionsChecked }`; `collectionsChecked` is false when the
+// Online Store publication could not be read, so collection visibility was skipped.
+export async function scanMenuLinks(admin, menus) {
+  const ids = new Set();
+  for (const menu of menus) collectCheckedResourceIds(menu.items, ids);
+  const publicationId = ids.size > 0 ? await fetchOnlineStorePublicationId(admin) : null;
+  const nodes = await fetchLinkedResources(admin, [...ids], publicationId);
+
+  const issues = [];
+  for (const menu of menus) {
+    const walk = (list, path = []) => (list || []).forEach((item, index) => {
+      const itemPath = [...path, index];
+      const issue = (problem, message) => issues.push({
+        menuId: menu.id,
+        menuTitle: menu.title,
+        menuHandle: menu.handle,
+        itemId: item.id,
+        path: itemPath,
+        location: formatItemPath(itemPath),
+        title: item.title,
+        type: item.type,
+        resourceId: item.resourceId || null,
+        url: item.url || null,
+        canRelink: HANDLE_RESOURCE_TYPES.includes(item.type),
+        problem,
+        message,
+      });
+      const typeLabel = (item.type || "").toLowerCase().replace(/_/g, " ");
+
+      if (URL_ITEM_TYPES.includes(item.type)) {
+        if (!isWellFormedMenuUrl(item.url)) issue(LINK_PROBLEMS.invalidUrl, item.url ? `"${item.url}" is not a valid URL.` : "The link has no URL.");
+      } else if (HANDLE_RESOURCE_TYPES.includes(item.type)) {
+        const node = item.resourceId ? nodes.get(item.resourceId) : null;
+        if (!node) {
+          issue(LINK_PROBLEMS.deleted, `The linked ${typeLabel} no longer exists.`);
+        } else if (!isResourcePublished(node)) {
+          issue(LINK_PROBLEMS.unpublished, `The linked ${typeLabel} "${node.title}" is not published to the Online Store.`);
+        }
+      } else if (RESOURCE_ITEM_TYPES.includes(item.type) && !item.resourceId) {
+        issue(LINK_PROBLEMS.deleted, `The linked ${typeLabel} no longer exists.`);
+      }
+      walk(item.items, itemPath);
+    });
+    walk(menu.items);
+  }
+  return { issues, collectionsChecked: ids.size === 0 || Boolean(publicationId) };
+}
+
+// Applies one fix to the item with the given ID. Returns `{ items, error }`.
+// `resourceId` is required for relink and `url` for convertToUrl.
+export function applyLinkFix(items, itemId, { fix, resourceId, url }) {
+  let found = false;
+  const rewrite = (list) => (list || []).flatMap((item) => {
+    if (item.id !== itemId) return [{ ...item, items: rewrite(item.items) }];
+    found = true;
+    switch (fix) {
+      case LINK_FIXES.remove:
+        return [];
+      case LINK_FIXES.relink:
+        return [{ ...item, resourceId, url: null, items: rewrite(item.items) }];
+      case LINK_FIXES.convertToUrl: {
+        const newItem = { ...item, type: "HTTP", url, items: rewrite(item.items) };
+        delete newItem.resourceId;
+        return [newItem];
+      }
+      default:
+        return [item];
+    }
+  });
+
+  if (!Object.values(LINK_FIXES).includes(fix)) return { items, error: `Unknown fix "${fix}".` };
+  if (fix === LINK_FIXES.relink && !resourceId) return { items, error: "Choose a resource to link to." };
+  if (fix === LINK_FIXES.convertToUrl && !isWellFormedMenuUrl(url)) return { items, error: `"${url || ""}" is not a valid URL.` };
+  const newItems = rewrite(items);
+  if (!found) return { items, error: "The menu item no longer exists. Run the scan again." };
+  return { items: newItems, error: null };
+}
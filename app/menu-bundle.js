@@ -0,0 +1,13 @@
+// app/menu-bundle.js
+// A bundle is one JSON document holding several exported menus plus a manifest
+// of their handles and titles. Shared by the export download and the importer.
+
+export const MENU_BUNDLE_TYPE = "menu-bundle";
+
+export function isMenuBundle(data) {
+  return data?.type === MENU_BUNDLE_TYPE && Array.isArray(data.menus);
+}
+
+export function bundleFileName(exportedAt) {
+  return `menus-bundle-${(exportedAt || new Date().toISOString()).slice(0, 10)}.json`;
+}
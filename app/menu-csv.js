@@ -0,0 +1,124 @@
+// app/menu-csv.js
+// Flat CSV format for menus: one row per item, in tree order. Used by the export
+// download in the browser and by the import action, so keep it dependency free.
+
+export const MENU_CSV_COLUMNS = ["depth", "parent_path", "title", "type", "url", "resource_handle", "resource_id"];
+
+// Separator used between ancestor titles in the parent_path column
+export const PARENT_PATH_SEPARATOR = " > ";
+
+export function escapeCsvValue(value) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Flattens a nested item tree into CSV text
+export function menuItemsToCsv(items) {
+  const rows = [MENU_CSV_COLUMNS.join(",")];
+  const walk = (list, depth, parentTitles) => {
+    for (const item of list || []) {
+      const row = {
+        depth,
+        parent_path: parentTitles.join(PARENT_PATH_SEPARATOR),
+        title: item.title,
+        type: item.type,
+        url: item.url,
+        resource_handle: item.resourceHandle,
+        resource_id: item.resourceId,
+      };
+      rows.push(MENU_CSV_COLUMNS.map((column) => escapeCsvValue(row[column])).join(","));
+      walk(item.items, depth + 1, [...parentTitles, item.title]);
+    }
+  };
+  walk(items, 1, []);
+  return `${rows.join("\r\n")}\r\n`;
+}
+
+// Splits CSV text into rows of cells, honouring quoted values with embedded
+// commas, quotes and line breaks.
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+// Rebuilds the nested tree from CSV text. Nesting comes from the depth column:
+// each row becomes a child of the closest preceding row one level up.
+// Returns `{ items, errors }`, where each error names the 1-based CSV line.
+export function parseMenuCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return { items: [], errors: [{ row: 1, message: "The CSV file is empty." }] };
+  }
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = ["depth", "title", "type"].filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    return { items: [], errors: [{ row: 1, message: `Missing column(s): ${missing.join(", ")}.` }] };
+  }
+
+  const items = [];
+  const errors = [];
+  // ancestors[d - 1] is the last item seen at depth d
+  const ancestors = [];
+  rows.forEach((cells, index) => {
+    const line = index + 2;
+    const value = (column) => {
+      const position = columns.indexOf(column);
+      return position === -1 ? "" : (cells[position] || "").trim();
+    };
+    const depth = Number.parseInt(value("depth"), 10);
+    if (!Number.isInteger(depth) || depth < 1) {
+      errors.push({ row: line, message: `Invalid depth "${value("depth")}".` });
+      return;
+    }
+    if (depth > ancestors.length + 1) {
+      errors.push({ row: line, message: `Depth ${depth} has no parent at depth ${depth - 1} above it.` });
+      return;
+    }
+
+    const item = { title: value("title"), type: value("type").toUpperCase(), items: [] };
+    if (value("url")) item.url = value("url");
+    if (value("resource_handle")) item.resourceHandle = value("resource_handle");
+    if (value("resource_id")) item.resourceId = value("resource_id");
+
+    if (depth === 1) items.push(item);
+    else ancestors[depth - 2].items.push(item);
+    ancestors.length = depth - 1;
+    ancestors.push(item);
+  });
+  return { items, errors };
+}
@@ -0,0 +1,7 @@
+// app/menu-deletion.js
+// Shared by the menu list and the server-side delete, which checks again.
+
+// Storefront themes expect these menus; Shopify also flags its own defaults with `isDefault`
+export const PROTECTED_MENU_HANDLES = ["main-menu", "footer"];
+
+export const isProtectedMenu = (menu) => Boolean(menu.isDefault) || PROTECTED_MENU_HANDLES.includes(menu.handle);
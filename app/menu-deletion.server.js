@@ -0,0 +1,43 @@
+// app/menu-deletion.server.js
+import { fetchMenuTree, prepareMenuItemsForCreate, truncationErrors } from "./menu-tree.server";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "./models/MenuSnapshot.server";
+import { isProtectedMenu } from "./menu-deletion";
+
+const DELETE_MENU_MUTATION = `
+  mutation DeleteMenu($id: ID!) {
+    menuDelete(id: $id) {
+      deletedMenuId
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Deletes one menu after saving a snapshot of it, which the history page can
+// restore. A menu whose snapshot cannot be saved completely is not deleted.
+// Returns `{ id, title, handle, success, errors, snapshotId }`.
+export async function deleteMenuWithBackup(admin, shop, menuId) {
+  const { menu, truncated, errors } = await fetchMenuTree(admin, menuId);
+  if (errors || !menu) {
+    return { id: menuId, success: false, errors: errors || [{ message: "Menu not found." }] };
+  }
+  const result = { id: menu.id, title: menu.title, handle: menu.handle };
+  if (isProtectedMenu(menu)) {
+    return { ...result, success: false, errors: [{ message: `${menu.title} is a default menu and cannot be deleted.` }] };
+  }
+  if (truncated.length > 0) {
+    return { ...result, success: false, errors: truncationErrors(truncated) };
+  }
+
+  const snapshot = await createMenuSnapshot({ shop, menu, items: prepareMenuItemsForCreate(menu.items), reason: SNAPSHOT_REASONS.beforeDelete });
+  const response = await admin.graphql(DELETE_MENU_MUTATION, { variables: { id: menu.id } });
+  const responseJson = await response.json();
+  const userErrors = responseJson.data?.menuDelete?.userErrors || [];
+  if (userErrors.length > 0 || responseJson.errors || !responseJson.data?.menuDelete?.deletedMenuId) {
+    return { ...result, success: false, errors: userErrors.length > 0 ? userErrors : responseJson.errors || [{ message: "Failed to delete menu." }] };
+  }
+  return { ...result, success: true, snapshotId: snapshot.id };
+}
@@ -0,0 +1,118 @@
+// app/menu-diff.js
+// Compares two menu item trees. Items are matched by title (ignoring case),
+// preferring a match under the same parent, so an item whose URL changed is
+// reported as changed rather than as one removal and one addition.
+
+export const DIFF_STATUS = {
+  unchanged: "unchanged",
+  added: "added",
+  removed: "removed",
+  moved: "moved",
+  changed: "changed",
+};
+
+// Fields compared on matched items. resourceId is left out on purpose: it
+// differs between stores even when the link is the same.
+const COMPARED_FIELDS = ["type", "url"];
+
+const normalizeTitle = (title) => (title || "").trim().toLowerCase();
+
+// Flattens a tree into nodes that remember their parent's title path
+function flatten(items, parentPath = [], nodes = []) {
+  (items || []).forEach((item) => {
+    const node = { item, parentPath: parentPath.join("\u0000"), matchedIndex: null, titleKey: normalizeTitle(item.title), match: null };
+    nodes.push(node);
+    flatten(item.items, [...parentPath, normalizeTitle(item.title)], nodes);
+  });
+  return nodes;
+}
+
+function matchNodes(leftNodes, rightNodes) {
+  // First pass: same title under the same parent; second pass: same title anywhere
+  const passes = [(left, right) => left.parentPath === right.parentPath, () => true];
+  for (const samePlace of passes) {
+    for (const left of leftNodes) {
+      if (left.match) continue;
+      const right = rightNodes.find((candidate) => !candidate.match && candidate.titleKey === left.titleKey && samePlace(left, candidate));
+      if (right) {
+        left.match = right;
+        right.match = left;
+      }
+    }
+  }
+}
+
+// Numbers matched siblings in order, so that an item only counts as moved when
+// its order relative to other surviving items changes, not when a sibling is
+// added or removed above it.
+function assignMatchedIndexes(items, nodesByItem) {
+  let position = 0;
+  for (const item of items || []) {
+    const node = nodesByItem.get(item);
+    if (node.match) node.matchedIndex = position++;
+    assignMatchedIndexes(item.items, nodesByItem);
+  }
+}
+
+function describeChanges(left, right) {
+  return COMPARED_FIELDS
+    .filter((field) => (left[field] || "") !== (right[field] || ""))
+    .map((field) => ({ field, from: left[field] || "", to: right[field] || "" }));
+}
+
+// Rebuilds a tree from flattened nodes, attaching each node's diff status
+function annotate(items, nodesByItem, unmatchedStatus) {
+  return (items || []).map((item) => {
+    const node = nodesByItem.get(item);
+    let statuses = [unmatchedStatus];
+    let changes = [];
+    if (node.match) {
+      changes = describeChanges(item, node.match.item);
+      const moved = node.parentPath !== node.match.parentPath || node.matchedIndex !== node.match.matchedIndex;
+      statuses = [moved && DIFF_STATUS.moved, changes.length > 0 && DIFF_STATUS.changed].filter(Boolean);
+      if (statuses.length === 0) statuses = [DIFF_STATUS.unchanged];
+    }
+    return {
+      title: item.title,
+      type: item.type,
+      url: item.url || "",
+      statuses,
+      changes,
+      items: annotate(item.items, nodesByItem, unmatchedStatus),
+    };
+  });
+}
+
+function countStatuses(tree, counts) {
+  for (const node of tree) {
+    for (const status of node.statuses) counts[status] = (counts[status] || 0) + 1;
+    countStatuses(node.items, counts);
+  }
+  return counts;
+}
+
+// Returns both sides annotated with statuses, plus a summary of counts.
+// Moved and changed items are counted once, from the right-hand side.
+export function diffMenuItems(leftItems, rightItems) {
+  const leftNodes = flatten(leftItems);
+  const rightNodes = flatten(rightItems);
+  matchNodes(leftNodes, rightNodes);
+
+  const leftNodesByItem = new Map(leftNodes.map((node) => [node.item, node]));
+  const rightNodesByItem = new Map(rightNodes.map((node) => [node.item, node]));
+  assignMatchedIndexes(leftItems, leftNodesByItem);
+  assignMatchedIndexes(rightItems, rightNodesByItem);
+
+  const left = annotate(leftItems, leftNodesByItem, DIFF_STATUS.removed);
+  const right = annotate(rightItems, rightNodesByItem, DIFF_STATUS.added);
+
+  const rightCounts = countStatuses(right, {});
+  const summary = {
+    added: rightCounts.added || 0,
+    removed: countStatuses(left, {}).removed || 0,
+    moved: rightCounts.moved || 0,
+    changed: rightCounts.changed || 0,
+    unchanged: rightCounts.unchanged || 0,
+  };
+  return { left, right, summary };
+}
@@ -0,0 +1,63 @@
+// app/menu-export-schema.js
+// Version history of the JSON export format. Files are migrated step by step
+// to the current version on import, so exports from older releases keep working.
+//
+//   1 - unversioned: `{ items }` from the client download, or
+//       `{ originalHandle, originalTitle, items }` from the export loader / bundles
+//   2 - adds `$schema`, `schemaVersion`, `source { shop, apiVersion }` and `exportedAt`
+//
+// The published JSON Schema lives in public/schemas/. When the format changes,
+// bump the version, publish a new schema file and add a migration below.
+import { MENU_BUNDLE_TYPE } from "./menu-bundle";
+
+export const MENU_EXPORT_SCHEMA_VERSION = 2;
+export const MENU_EXPORT_SCHEMA_PATH = `/schemas/menu-export.v${MENU_EXPORT_SCHEMA_VERSION}.json`;
+export const MENU_EXPORT_TYPE = "menu";
+
+// migrations[n] upgrades a version n document to version n + 1
+const migrations = {
+  1: (document) => ({
+    $schema: "/schemas/menu-export.v2.json",
+    schemaVersion: 2,
+    type: document.type === MENU_BUNDLE_TYPE ? MENU_BUNDLE_TYPE : MENU_EXPORT_TYPE,
+    source: { shop: null, apiVersion: null },
+    exportedAt: document.exportedAt || null,
+    ...(document.type === MENU_BUNDLE_TYPE
+      ? { manifest: document.manifest || [], menus: document.menus, skipped: document.skipped || [] }
+      : { originalHandle: document.originalHandle || null, originalTitle: document.originalTitle || null, items: document.items }),
+  }),
+};
+
+// Wraps exported data in the current envelope
+export function buildExportDocument({ type = MENU_EXPORT_TYPE, shop, apiVersion, exportedAt = new Date().toISOString(), ...content }) {
+  return {
+    $schema: MENU_EXPORT_SCHEMA_PATH,
+    schemaVersion: MENU_EXPORT_SCHEMA_VERSION,
+    type,
+    source: { shop: shop || null, apiVersion: apiVersion || null },
+    exportedAt,
+    ...content,
+  };
+}
+
+// Brings a parsed export file up to the current version.
+// Returns `{ document, migratedFrom, error }`; `migratedFrom` is null when the
+// file was already current.
+export function migrateMenuExport(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { document: null, migratedFrom: null, error: "The file does not contain a menu export." };
+  }
+  const originalVersion = data.schemaVersion === undefined ? 1 : Number(data.schemaVersion);
+  if (!Number.isInteger(originalVersion) || originalVersion < 1) {
+    return { document: null, migratedFrom: null, error: `Unknown export schema version "${data.schemaVersion}".` };
+  }
+  if (originalVersion > MENU_EXPORT_SCHEMA_VERSION) {
+    return { document: null, migratedFrom: null, error: `The file uses export schema version ${originalVersion}, which is newer than this app supports (${MENU_EXPORT_SCHEMA_VERSION}).` };
+  }
+
+  let document = data;
+  for (let version = originalVersion; version < MENU_EXPORT_SCHEMA_VERSION; version++) {
+    document = migrations[version](document);
+  }
+  return { document, migratedFrom: originalVersion === MENU_EXPORT_SCHEMA_VERSION ? null : originalVersion, error: null };
+}
@@ -0,0 +1,53 @@
+// app/menu-export.server.js
+// Builds export documents for the embedded export route and the headless API.
+import { fetchMenuTree, prepareMenuItemsForCreate, truncationErrors } from "./menu-tree.server";
+import { attachResourceHandles } from "./resource-remap.server";
+import { fetchAllMenus } from "./menus.server";
+import { countMenuItems } from "./menu-validation";
+import { MENU_BUNDLE_TYPE } from "./menu-bundle";
+import { buildExportDocument } from "./menu-export-schema";
+
+// Fetches one menu and shapes it for download. Returns `{ payload }` or `{ error, details, status }`.
+export async function buildMenuExport(admin, menuId) {
+  const { menu: menuData, truncated, errors } = await fetchMenuTree(admin, menuId);
+
+  if (errors || !menuData) {
+    console.error("Menu export: GQL Error or no menu data:", errors);
+    return { error: "Failed to fetch menu details", details: errors || "No menu data found.", status: 500 };
+  }
+  if (truncated.length > 0) {
+    console.error("Menu export: Menu is deeper than the fetched tree:", truncated);
+    return { error: "Menu is nested too deeply to export", details: truncationErrors(truncated).map((e) => e.message).join(" "), status: 422 };
+  }
+
+  return {
+    payload: {
+      originalHandle: menuData.handle,
+      originalTitle: menuData.title,
+      // Handles let an import into another store find the matching resources
+      items: await attachResourceHandles(admin, prepareMenuItemsForCreate(menuData.items)),
+    },
+  };
+}
+
+// Exports every menu in the shop as one JSON document with a manifest.
+// Menus that cannot be exported completely are listed under `skipped`.
+export async function buildMenuBundle(admin, source) {
+  const { menus, errors } = await fetchAllMenus(admin);
+  if (errors) {
+    console.error("Menu export: GQL Error listing menus:", errors);
+    return { error: "Failed to list menus", details: errors, status: 500 };
+  }
+
+  const bundle = buildExportDocument({ ...source, type: MENU_BUNDLE_TYPE, manifest: [], menus: [], skipped: [] });
+  for (const menu of menus) {
+    const result = await buildMenuExport(admin, menu.id);
+    if (result.error) {
+      bundle.skipped.push({ handle: menu.handle, title: menu.title, reason: typeof result.details === "string" ? result.details : result.error });
+      continue;
+    }
+    bundle.manifest.push({ handle: menu.handle, title: menu.title, itemCount: countMenuItems(result.payload.items) });
+    bundle.menus.push(result.payload);
+  }
+  return { payload: bundle };
+}
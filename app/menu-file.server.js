@@ -0,0 +1,41 @@
+// app/menu-file.server.js
+import { parseMenuCsv } from "./menu-csv";
+import { isMenuBundle } from "./menu-bundle";
+import { migrateMenuExport } from "./menu-export-schema";
+
+export function isCsvUpload(uploadedFile) {
+  return uploadedFile.name?.toLowerCase().endsWith(".csv") || uploadedFile.type === "text/csv";
+}
+
+// Reads an uploaded menu export (JSON or CSV) into a nested item tree. JSON files
+// from older releases are migrated to the current export schema first.
+// Returns `{ items, errors, document, migratedFrom }`; errors use the
+// `{ field: ["file"], message }` shape.
+export async function readMenuFile(uploadedFile) {
+  const fileContent = await uploadedFile.text();
+  if (isCsvUpload(uploadedFile)) {
+    const { items, errors } = parseMenuCsv(fileContent);
+    if (errors.length > 0) {
+      return { items: null, errors: errors.map((error) => ({ field: ["file"], message: `CSV line ${error.row}: ${error.message}` })) };
+    }
+    return { items, errors: null, document: null, migratedFrom: null };
+  }
+
+  let importedData;
+  try {
+    importedData = JSON.parse(fileContent);
+  } catch (e) {
+    return { items: null, errors: [{ field: ["file"], message: "Invalid JSON file." }] };
+  }
+  const { document, migratedFrom, error } = migrateMenuExport(importedData);
+  if (error) {
+    return { items: null, errors: [{ field: ["file"], message: error }] };
+  }
+  if (isMenuBundle(document)) {
+    return { items: null, errors: [{ field: ["file"], message: "This file is a bundle of several menus; import it to pick which menus to create." }] };
+  }
+  if (!Array.isArray(document.items)) {
+    return { items: null, errors: [{ field: ["file"], message: "Invalid JSON: 'items' array not found." }] };
+  }
+  return { items: document.items, errors: null, document, migratedFrom };
+}
@@ -0,0 +1,99 @@
+// app/menu-find-replace.js
+import { URL_ITEM_TYPES, formatItemPath } from "./menu-validation";
+
+// Fields the tool can search. URLs are only rewritten on web address items;
+// resource links take their URL from the linked resource.
+export const FIND_REPLACE_FIELDS = ["title", "url"];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Patterns run on the server against every item, so they are kept short and simple
+export const MAX_SEARCH_PATTERN_LENGTH = 200;
+
+// Finds groups that repeat something already repeated, e.g. (a+)+ or (\w*x)*,
+// the usual cause of catastrophic backtracking
+function hasNestedQuantifier(source) {
+  // One flag per open group: whether it contains a quantifier
+  const groups = [false];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // Skip the character class, where quantifier characters are literal
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")" && groups.length > 1) {
+      const containsQuantifier = groups.pop();
+      if (containsQuantifier && ["*", "+", "{"].includes(source[i + 1])) return true;
+      if (containsQuantifier) groups[groups.length - 1] = true;
+    } else if (char === "*" || char === "+" || char === "{") {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Identifies a set of search options, so an apply can be matched to the preview it confirms
+export function searchOptionsKey({ scope, search, replacement, useRegex, caseSensitive, fields }) {
+  return JSON.stringify([scope, search, replacement, Boolean(useRegex), Boolean(caseSensitive), [...fields].sort()]);
+}
+
+// Identifies the exact edits a search makes, so an apply can be refused when
+// the menus changed after the preview
+export function changeSetKey(results) {
+  return JSON.stringify(results.map(({ menu, changes }) => [
+    menu.id,
+    changes.map(({ path, field, before, after }) => [path, field, before, after]),
+  ]));
+}
+
+// Builds the search expression. Returns `{ pattern }` or `{ error }` for an
+// invalid, too long or potentially very slow regex.
+export function buildSearchPattern({ search, useRegex = false, caseSensitive = false }) {
+  if (!search) return { error: "Enter text to search for." };
+  if (search.length > MAX_SEARCH_PATTERN_LENGTH) {
+    return { error: `Search for at most ${MAX_SEARCH_PATTERN_LENGTH} characters.` };
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(useRegex ? search : escapeRegExp(search), caseSensitive ? "g" : "gi");
+  } catch (error) {
+    return { error: `Invalid regular expression: ${error.message}` };
+  }
+  if (useRegex && hasNestedQuantifier(search)) {
+    return { error: "Repeated groups that contain a repetition themselves, like (a+)+, are not supported. Simplify the expression." };
+  }
+  return { pattern };
+}
+
+function replaceField(value, pattern, replacement) {
+  if (typeof value !== "string") return value;
+  pattern.lastIndex = 0;
+  return value.replace(pattern, replacement);
+}
+
+// Applies the replacement to every matching item. Returns the rewritten tree
+// (items keep their IDs) and a list of changes for the preview. Regex
+// replacements may use $1-style groups; plain replacements are inserted as is.
+export function findAndReplaceInItems(items, { pattern, replacement = "", useRegex = false, fields = FIND_REPLACE_FIELDS }) {
+  const replacer = useRegex ? replacement : () => replacement;
+  const changes = [];
+  const walk = (list, path = []) => (list || []).map((item, index) => {
+    const itemPath = [...path, index];
+    const newItem = { ...item, items: walk(item.items, itemPath) };
+    for (const field of fields) {
+      if (field === "url" && !URL_ITEM_TYPES.includes(item.type)) continue;
+      const after = replaceField(item[field], pattern, replacer);
+      if (after !== item[field]) {
+        newItem[field] = after;
+        changes.push({ path: itemPath, location: formatItemPath(itemPath), itemTitle: item.title, field, before: item[field], after });
+      }
+    }
+    return newItem;
+  });
+  return { items: walk(items), changes };
+}
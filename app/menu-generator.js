@@ -0,0 +1,28 @@
+// app/menu-generator.js
+// Options offered by the menu generator, shared with app/menu-generator.server.js
+
+export const GENERATOR_SOURCES = {
+  collections: "Collections",
+  productTypes: "Product types",
+  vendors: "Vendors",
+  pages: "Online Store pages",
+  blogs: "Blogs with their latest articles",
+};
+
+// Collections can be nested under one heading per tag or metafield value
+export const COLLECTION_GROUPINGS = {
+  none: "No grouping",
+  tag: "Tag in the collection's conditions",
+  metafield: "Metafield value",
+};
+
+export const GENERATOR_SORTS = {
+  titleAsc: "Title A–Z",
+  titleDesc: "Title Z–A",
+  newest: "Newest first",
+};
+
+export const MAX_GENERATED_ARTICLES = 10;
+
+// Stops runaway menus on very large catalogs
+export const MAX_GENERATED_ITEMS = 500;
@@ -0,0 +1,242 @@
+// app/menu-generator.server.js
+// Builds menu item trees from store data. The result has the same shape as
+// prepareMenuItemsForCreate output, so it can be validated and sent to menuCreate.
+import { countMenuItems } from "./menu-validation";
+import { COLLECTION_GROUPINGS, GENERATOR_SORTS, GENERATOR_SOURCES, MAX_GENERATED_ARTICLES, MAX_GENERATED_ITEMS } from "./menu-generator";
+
+const PAGE_SIZE = 250;
+// Each blog also fetches its articles, so fewer blogs fit under the query cost limit
+const BLOGS_PAGE_SIZE = 50;
+// Heading items link nowhere, like unmatched imports
+const HEADING_URL = "#";
+
+const PRODUCT_TYPES_QUERY = `
+  query getProductTypes($first: Int!, $after: String) {
+    shop {
+      productTypes(first: $first, after: $after) {
+        nodes
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const PRODUCT_VENDORS_QUERY = `
+  query getProductVendors($first: Int!, $after: String) {
+    shop {
+      productVendors(first: $first, after: $after) {
+        nodes
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const PAGES_QUERY = `
+  query getPublishedPages($first: Int!, $after: String) {
+    pages(first: $first, after: $after, query: "published_status:published") {
+      nodes { id title createdAt }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const BLOGS_QUERY = `
+  query getBlogsWithArticles($first: Int!, $after: String, $articleCount: Int!) {
+    blogs(first: $first, after: $after) {
+      nodes {
+        id
+        title
+        createdAt
+        articles(first: $articleCount, sortKey: PUBLISHED_AT, reverse: true, query: "published_status:published") {
+          nodes { id title }
+        }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+function buildCollectionsQuery({ withMetafield }) {
+  return `
+    query getCollections($first: Int!, $after: String${withMetafield ? ", $namespace: String!, $key: String!" : ""}) {
+      collections(first: $first, after: $after) {
+        nodes {
+          id
+          title
+          updatedAt
+          ruleSet { rules { column condition } }
+          ${withMetafield ? "metafield(namespace: $namespace, key: $key) { value }" : ""}
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+}
+
+async function runQuery(admin, query, variables) {
+  const response = await admin.graphql(query, { variables });
+  const responseJson = await response.json();
+  if (responseJson.errors) {
+    throw new Error(`Failed to read store data: ${responseJson.errors.map((e) => e.message).join(", ")}`);
+  }
+  return responseJson.data;
+}
+
+// Follows `pageInfo` until every node is read. Everything is read before sorting,
+// so the item cap keeps the first entries in the chosen order, not the first fetched.
+// `connectionPath` is where the connection sits in the response, e.g. "shop.productTypes".
+async function fetchAllNodes(admin, query, variables, connectionPath, pageSize = PAGE_SIZE) {
+  const nodes = [];
+  let after = null;
+  do {
+    const data = await runQuery(admin, query, { ...variables, first: pageSize, after });
+    const connection = connectionPath.split(".").reduce((value, key) => value?.[key], data);
+    nodes.push(...(connection?.nodes || []));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return nodes;
+}
+
+function sortEntries(entries, sort) {
+  const sorted = [...entries];
+  if (sort === "newest" && sorted.every((entry) => entry.sortDate)) {
+    return sorted.sort((a, b) => new Date(b.sortDate) - new Date(a.sortDate));
+  }
+  sorted.sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: "base", numeric: true }));
+  return sort === "titleDesc" ? sorted.reverse() : sorted;
+}
+
+// Metafield keys are entered as "namespace.key"
+function parseMetafieldKey(value) {
+  const [namespace, ...rest] = (value || "").trim().split(".");
+  const key = rest.join(".");
+  return namespace && key ? { namespace, key } : null;
+}
+
+// Tags a smart collection selects products by
+function collectionTags(collection) {
+  return (collection.ruleSet?.rules || [])
+    .filter((rule) => rule.column === "TAG" && rule.condition)
+    .map((rule) => rule.condition);
+}
+
+// Puts each collection under a heading per group value. A collection with
+// several tags appears under each of them; ungrouped ones follow the headings.
+function groupCollections(collections, groupValues, sort) {
+  const groups = new Map();
+  const ungrouped = [];
+  for (const collection of collections) {
+    const values = groupValues(collection);
+    if (values.length === 0) ungrouped.push(collection);
+    for (const value of values) {
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(collection);
+    }
+  }
+  const headings = sortEntries([...groups.keys()].map((title) => ({ title })), sort === "newest" ? "titleAsc" : sort);
+  return [
+    ...headings.map(({ title }) => ({ title, type: "HTTP", url: HEADING_URL, items: sortEntries(groups.get(title), sort).map(collectionItem) })),
+    ...sortEntries(ungrouped, sort).map(collectionItem),
+  ];
+}
+
+const collectionItem = (collection) => ({ title: collection.title, type: "COLLECTION", resourceId: collection.id });
+
+async function generateCollectionItems(admin, { groupBy, metafieldKey, sort }) {
+  const metafield = groupBy === "metafield" ? parseMetafieldKey(metafieldKey) : null;
+  if (groupBy === "metafield" && !metafield) {
+    return { items: null, errors: [{ field: ["metafieldKey"], message: "Enter the metafield as namespace.key, e.g. custom.menu_group." }] };
+  }
+  const collections = await fetchAllNodes(admin, buildCollectionsQuery({ withMetafield: Boolean(metafield) }), metafield || {}, "collections");
+  // Collections have no creation date, so "newest" means most recently updated
+  const dated = collections.map((collection) => ({ ...collection, sortDate: collection.updatedAt }));
+
+  if (groupBy === "tag") return { items: groupCollections(dated, collectionTags, sort), errors: null };
+  if (metafield) {
+    return { items: groupCollections(dated, (collection) => (collection.metafield?.value ? [collection.metafield.value] : []), sort), errors: null };
+  }
+  return { items: sortEntries(dated, sort).map(collectionItem), errors: null };
+}
+
+// Product types and vendors become links to Shopify's built-in filtered collections
+async function generateFilteredCollectionItems(admin, { source, sort }) {
+  const isVendors = source === "vendors";
+  const values = (await fetchAllNodes(admin, isVendors ? PRODUCT_VENDORS_QUERY : PRODUCT_TYPES_QUERY, {}, isVendors ? "shop.productVendors" : "shop.productTypes"))
+    .filter((value) => value && value.trim());
+  const entries = sortEntries(values.map((title) => ({ title })), sort === "newest" ? "titleAsc" : sort);
+  const basePath = isVendors ? "/collections/vendors" : "/collections/types";
+  return {
+    items: entries.map(({ title }) => ({ title, type: "HTTP", url: `${basePath}?q=${encodeURIComponent(title)}` })),
+    errors: null,
+  };
+}
+
+async function generatePageItems(admin, { sort }) {
+  const pages = await fetchAllNodes(admin, PAGES_QUERY, {}, "pages");
+  const dated = pages.map((page) => ({ ...page, sortDate: page.createdAt }));
+  return { items: sortEntries(dated, sort).map((page) => ({ title: page.title, type: "PAGE", resourceId: page.id })), errors: null };
+}
+
+async function generateBlogItems(admin, { sort, articleCount }) {
+  const count = Math.min(Math.max(Number(articleCount) || 0, 0), MAX_GENERATED_ARTICLES);
+  const blogs = await fetchAllNodes(admin, BLOGS_QUERY, { articleCount: Math.max(count, 1) }, "blogs", BLOGS_PAGE_SIZE);
+  return {
+    items: sortEntries(blogs.map((blog) => ({ ...blog, sortDate: blog.createdAt })), sort).map((blog) => ({
+      title: blog.title,
+      type: "BLOG",
+      resourceId: blog.id,
+      ...(count > 0 ? { items: blog.articles.nodes.slice(0, count).map((article) => ({ title: article.title, type: "ARTICLE", resourceId: article.id })) } : {}),
+    })),
+    errors: null,
+  };
+}
+
+// Keeps items in tree order, each item before its children, until `limit` items are kept
+function trimItems(items, limit) {
+  let remaining = limit;
+  const trim = (list) => {
+    const kept = [];
+    for (const item of list) {
+      if (remaining <= 0) break;
+      remaining -= 1;
+      kept.push(item.items?.length > 0 ? { ...item, items: trim(item.items) } : item);
+    }
+    return kept;
+  };
+  return trim(items);
+}
+
+// Generates a menu item tree. `parentTitle` nests the whole result under one
+// heading item. Returns `{ items, truncatedCount, errors }`; `truncatedCount` is
+// how many items, nested ones included, were left out to stay under MAX_GENERATED_ITEMS.
+export async function generateMenuItems(admin, options) {
+  const { source, groupBy = "none", sort = "titleAsc", parentTitle = "" } = options;
+  if (!GENERATOR_SOURCES[source]) {
+    return { items: null, errors: [{ field: ["source"], message: "Choose what to build the menu from." }] };
+  }
+  if (!GENERATOR_SORTS[sort] || !COLLECTION_GROUPINGS[groupBy]) {
+    return { items: null, errors: [{ message: "Unknown ordering or grouping." }] };
+  }
+
+  let result;
+  if (source === "collections") result = await generateCollectionItems(admin, options);
+  else if (source === "productTypes" || source === "vendors") result = await generateFilteredCollectionItems(admin, options);
+  else if (source === "pages") result = await generatePageItems(admin, options);
+  else result = await generateBlogItems(admin, options);
+  if (result.errors) return result;
+
+  let items = result.items;
+  if (items.length === 0) {
+    return { items: null, errors: [{ message: `No ${GENERATOR_SOURCES[source].toLowerCase()} were found in this store.` }] };
+  }
+  // The parent heading counts towards the cap too
+  const totalCount = countMenuItems(items);
+  const limit = parentTitle.trim() ? MAX_GENERATED_ITEMS - 1 : MAX_GENERATED_ITEMS;
+  if (totalCount > limit) items = trimItems(items, limit);
+  const truncatedCount = totalCount - countMenuItems(items);
+  if (parentTitle.trim()) {
+    items = [{ title: parentTitle.trim(), type: "HTTP", url: HEADING_URL, items }];
+  }
+  return { items, truncatedCount, errors: null };
+}
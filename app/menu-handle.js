@@ -0,0 +1,42 @@
+// app/menu-handle.js
+// Menu handle rules, shared by the forms (for live checks) and the server (which checks again).
+
+export const MAX_MENU_HANDLE_LENGTH = 255;
+const MENU_HANDLE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// "Summer Sale - Men's" -> "summer-sale-mens"
+export function slugifyMenuHandle(title) {
+  const slug = (title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['\u2019]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_MENU_HANDLE_LENGTH)
+    .replace(/-+$/, "");
+  return slug || "menu";
+}
+
+// The slug itself when it is free, otherwise the first free `slug-2`, `slug-3`, ...
+export function nextAvailableHandle(slug, takenHandles) {
+  const taken = new Set(takenHandles);
+  if (!taken.has(slug)) return slug;
+  let suffix = 2;
+  while (taken.has(`${slug}-${suffix}`)) suffix += 1;
+  return `${slug}-${suffix}`;
+}
+
+// Returns an error message for a handle the user typed, or null when it can be used
+export function checkMenuHandle(handle, takenHandles) {
+  if (!MENU_HANDLE_PATTERN.test(handle)) {
+    return "Handles may only contain lowercase letters, numbers and single hyphens.";
+  }
+  if (handle.length > MAX_MENU_HANDLE_LENGTH) {
+    return `Handles can be at most ${MAX_MENU_HANDLE_LENGTH} characters.`;
+  }
+  if (new Set(takenHandles).has(handle)) {
+    return `Another menu already uses the handle "${handle}".`;
+  }
+  return null;
+}
@@ -0,0 +1,30 @@
+// app/menu-handle.server.js
+import { fetchAllMenus } from "./menus.server";
+import { checkMenuHandle, nextAvailableHandle, slugifyMenuHandle } from "./menu-handle";
+
+// Handles of every menu in the shop. Returns `{ handles, errors }`.
+export async function fetchMenuHandles(admin) {
+  const { menus, errors } = await fetchAllMenus(admin);
+  return { handles: new Set(menus.map((menu) => menu.handle)), errors };
+}
+
+// Picks the handle for a new menu: the requested one if it is valid and free,
+// otherwise a slug of the title with a numeric suffix on collision. Pass
+// `takenHandles` when creating several menus in a row; the chosen handle is added to it.
+// Returns `{ handle, errors }`; errors point at `field`.
+export async function resolveMenuHandle(admin, { handle, title, field = "handle", takenHandles }) {
+  let taken = takenHandles;
+  if (!taken) {
+    const { handles, errors } = await fetchMenuHandles(admin);
+    if (errors) return { handle: null, errors };
+    taken = handles;
+  }
+  const requested = handle?.trim();
+  if (requested) {
+    const problem = checkMenuHandle(requested, taken);
+    if (problem) return { handle: null, errors: [{ field: [field], message: problem }] };
+  }
+  const resolved = requested || nextAvailableHandle(slugifyMenuHandle(title), taken);
+  taken.add(resolved);
+  return { handle: resolved, errors: null };
+}
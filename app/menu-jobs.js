@@ -0,0 +1,40 @@
+// app/menu-jobs.js
+// Shared by the progress UI, the job status route and the background worker.
+
+// queued -> running -> completed, or failed when any step failed.
+// Retrying a failed job puts its unfinished steps back to pending and queues it again.
+export const JOB_STATUS = {
+  queued: "queued",
+  running: "running",
+  completed: "completed",
+  failed: "failed",
+};
+
+export const JOB_STATUS_LABELS = {
+  queued: "Queued",
+  running: "In progress",
+  completed: "Completed",
+  failed: "Failed",
+};
+
+export const STEP_STATUS = {
+  pending: "pending",
+  running: "running",
+  done: "done",
+  failed: "failed",
+};
+
+export const STEP_STATUS_LABELS = {
+  pending: "Waiting",
+  running: "Running",
+  done: "Done",
+  failed: "Failed",
+};
+
+export const JOB_TYPES = {
+  duplicateMenu: "Duplicate menu",
+  importMenu: "Import menu",
+  importBundle: "Import menu bundle",
+};
+
+export const isJobFinished = (job) => job.status === JOB_STATUS.completed || job.status === JOB_STATUS.failed;
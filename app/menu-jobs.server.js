@@ -0,0 +1,374 @@
+// app/menu-jobs.server.js
+// Runs duplicates and imports in the background so large menus and bundles do not
+// time out inside the request. A job is a list of steps stored with it; the page
+// polls the job for progress, and failed steps can be retried without repeating
+// the ones that already worked. Like the scheduler, the worker runs in the app
+// server process and uses each shop's offline session.
+import { unauthenticated } from "./shopify.server";
+import { createAdminGraphqlClient } from "./admin-graphql.server";
+import { fetchMenuTree, mergeMenuItems, prepareMenuItemsForCreate, prepareMenuItemsForUpdate, truncationErrors } from "./menu-tree.server";
+import { remapMenuResources } from "./resource-remap.server";
+import { copyMenuTranslations } from "./menu-translations.server";
+import { fetchMenuHandles, resolveMenuHandle } from "./menu-handle.server";
+import { checkMenuHandle } from "./menu-handle";
+import { formatItemPath, validateMenuItems } from "./menu-validation";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "./models/MenuSnapshot.server";
+import {
+  claimNextMenuJob,
+  createMenuJob,
+  getMenuJob,
+  getStaleMenuJobs,
+  recoverStaleMenuJob,
+  updateMenuJob,
+} from "./models/MenuJob.server";
+import { JOB_STATUS, STEP_STATUS } from "./menu-jobs";
+import { recordAuditEntry } from "./audit-log.server";
+
+// Picks up jobs missed by the wake-up after enqueueing, e.g. after a restart
+const WORKER_INTERVAL_MS = 10 * 1000;
+// Progress is saved after every step; a running job quiet for this long lost its worker
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const CREATE_MENU_MUTATION = `
+  mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
+    menuCreate(title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const UPDATE_MENU_MUTATION = `
+  mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Step failures carry the `{ field, message }` errors shown next to the step
+function stepError(errors) {
+  const error = new Error(errors.map((e) => e.message).join(" "));
+  error.errors = errors;
+  return error;
+}
+
+// Saves a snapshot of a menu the worker just wrote. A failed snapshot is logged
+// but never fails the step that triggered it.
+async function recordMenuSnapshot({ shop, menu, items, reason }) {
+  try {
+    await createMenuSnapshot({ shop, menu, items, reason });
+  } catch (error) {
+    console.error(`Failed to save snapshot for menu ${menu?.id}:`, error);
+  }
+}
+
+async function fetchCompleteMenu(admin, menuId, { withItemIds = false, missing }) {
+  const { menu, truncated, errors } = await fetchMenuTree(admin, menuId, { withItemIds });
+  if (errors || !menu) throw stepError(errors || [{ message: missing }]);
+  if (truncated.length > 0) throw stepError(truncationErrors(truncated));
+  return menu;
+}
+
+// Creates a menu and snapshots what was written
+async function createMenu({ graphql, shop }, { title, handle, items, reason, failure }) {
+  const { data, errors } = await graphql(CREATE_MENU_MUTATION, { variables: { title, handle, items }, userErrors: "menuCreate" });
+  if (errors || !data?.menuCreate?.menu) throw stepError(errors || [{ message: failure }]);
+  const createdMenu = data.menuCreate.menu;
+  await recordMenuSnapshot({ shop, menu: createdMenu, items, reason });
+  return createdMenu;
+}
+
+function validateItems(items) {
+  const problems = validateMenuItems(items);
+  if (problems.length > 0) throw stepError(problems.map((problem) => ({ field: ["file"], message: `${formatItemPath(problem.path)}: ${problem.message}` })));
+}
+
+// Each job type lists how to run its steps and which steps go to the audit log.
+// `run(context, job, step, steps)` returns `{ message, result, output }`: `result` is
+// shown in the UI, `output` is only kept for later steps. Sequential jobs stop at
+// the first failed step, since later steps build on it. `repeatableSteps` can
+// safely run again after a crash; any other interrupted step may already have
+// changed the store, so it is failed for the merchant to check and retry.
+const JOB_HANDLERS = {
+  duplicateMenu: {
+    sequential: true,
+    repeatableSteps: ["translations"],
+    async run(context, { input }, step, steps) {
+      const { admin } = context;
+      if (step.key === "create") {
+        const original = await fetchCompleteMenu(admin, input.originalMenuId, { missing: "Failed to fetch original menu details." });
+        const items = prepareMenuItemsForCreate(original.items);
+        const { handle, errors } = await resolveMenuHandle(admin, { handle: input.handle, title: input.title, field: "newMenuHandle" });
+        if (errors) throw stepError(errors);
+        const createdMenu = await createMenu(context, { title: input.title, handle, items, reason: SNAPSHOT_REASONS.duplicate, failure: "Failed to create new menu." });
+        return { message: `Menu "${createdMenu.title}" created with handle ${createdMenu.handle}.`, result: { createdMenu } };
+      }
+      // Items are paired by position, so both trees are read with their item IDs
+      const { createdMenu } = steps.find((other) => other.key === "create").result;
+      const original = await fetchCompleteMenu(admin, input.originalMenuId, { withItemIds: true, missing: "The original menu no longer exists." });
+      const created = await fetchCompleteMenu(admin, createdMenu.id, { withItemIds: true, missing: "The new menu could not be read back." });
+      const { registered, errors } = await copyMenuTranslations(admin, original.items, created.items);
+      if (errors.length > 0) throw stepError(errors);
+      return { message: `Copied ${registered} translation(s).` };
+    },
+    audit: ({ input }, step) => (step.key === "create"
+      ? { action: "duplicateMenu", sourceMenuId: input.originalMenuId, targetMenuId: step.result?.createdMenu?.id }
+      : null),
+  },
+
+  importMenu: {
+    sequential: true,
+    repeatableSteps: ["remap"],
+    async run(context, { input }, step, steps) {
+      const { admin, graphql, shop } = context;
+      if (step.key === "remap") {
+        // Point linked products, collections, pages and blogs at this store's resources
+        validateItems(input.items);
+        const { items, report } = await remapMenuResources(admin, input.items);
+        const linkCount = report.remapped.length + report.kept.length + report.fallback.length + report.unmatched.length;
+        return { message: `Checked ${linkCount} linked resource(s).`, result: { remapReport: report }, output: { items: prepareMenuItemsForCreate(items) } };
+      }
+      const { items } = steps.find((other) => other.key === "remap").output;
+
+      if (input.targetMenuId) {
+        const targetMenu = await fetchCompleteMenu(admin, input.targetMenuId, { withItemIds: true, missing: "Target menu not found." });
+        // Unlike the post-write snapshots, this one must succeed before the menu is overwritten
+        await createMenuSnapshot({ shop, menu: targetMenu, items: prepareMenuItemsForCreate(targetMenu.items), reason: SNAPSHOT_REASONS.beforeImport });
+        let updatedItems = items;
+        let summary = `all items replaced with ${items.length} top-level item(s) from the file`;
+        if (input.mode === "merge") {
+          const merged = mergeMenuItems(targetMenu.items, items);
+          updatedItems = merged.items;
+          summary = `${merged.addedCount} missing item(s) added`;
+        }
+        // Title and handle stay as they are so theme references keep working
+        const { data, errors } = await graphql(UPDATE_MENU_MUTATION, {
+          variables: { id: targetMenu.id, title: targetMenu.title, handle: targetMenu.handle, items: prepareMenuItemsForUpdate(updatedItems) },
+          userErrors: "menuUpdate",
+        });
+        if (errors || !data?.menuUpdate?.menu) throw stepError(errors || [{ message: "Failed to update menu from import." }]);
+        const updatedMenu = data.menuUpdate.menu;
+        await recordMenuSnapshot({ shop, menu: updatedMenu, items: prepareMenuItemsForCreate(updatedItems), reason: SNAPSHOT_REASONS.import });
+        return { message: `Menu "${updatedMenu.title}" updated from import: ${summary}.`, result: { updatedMenu } };
+      }
+
+      const { handle, errors } = await resolveMenuHandle(admin, { handle: input.handle, title: input.title, field: "newImportMenuHandle" });
+      if (errors) throw stepError(errors);
+      const createdMenu = await createMenu(context, { title: input.title, handle, items, reason: SNAPSHOT_REASONS.import, failure: "Failed to create menu from import." });
+      return { message: `Menu "${createdMenu.title}" imported with handle ${createdMenu.handle}.`, result: { createdMenu } };
+    },
+    // One entry per import: the write, or whichever step stopped it
+    audit: ({ input }, step) => (step.key === "write" || step.status === STEP_STATUS.failed
+      ? { action: "importMenu", targetMenuId: step.result?.updatedMenu?.id || step.result?.createdMenu?.id || input.targetMenuId || null }
+      : null),
+  },
+
+  // One step per bundled menu; one failure does not stop the rest
+  importBundle: {
+    sequential: false,
+    repeatableSteps: [],
+    async run(context, { input }, step, steps) {
+      const { admin } = context;
+      const bundledMenu = input.menus[Number(step.key)];
+      if (!bundledMenu?.items) throw stepError([{ message: "Menu not found in bundle." }]);
+      if (!bundledMenu.title) throw stepError([{ message: "A new title is required when renaming." }]);
+      validateItems(bundledMenu.items);
+      const { handles, errors: handleErrors } = await fetchMenuHandles(admin);
+      if (handleErrors) throw stepError(handleErrors);
+      let handle;
+      if (bundledMenu.keepOriginal) {
+        if (!bundledMenu.originalHandle) throw stepError([{ message: "The bundled menu has no handle to keep. Import it with a new title instead." }]);
+        // When several bundled menus keep the same handle, the first one in the bundle
+        // that has not failed gets it
+        input.menus.slice(0, Number(step.key)).forEach((other, position) => {
+          const otherStep = steps.find((candidate) => candidate.key === String(position));
+          if (other.keepOriginal && other.originalHandle && otherStep?.status !== STEP_STATUS.failed) handles.add(other.originalHandle);
+        });
+        const problem = checkMenuHandle(bundledMenu.originalHandle, handles);
+        if (problem) throw stepError([{ message: `Cannot keep the original handle. ${problem}` }]);
+        handle = bundledMenu.originalHandle;
+      } else {
+        for (const reserved of input.reservedHandles || []) handles.add(reserved);
+        const { handle: resolved, errors } = await resolveMenuHandle(admin, { title: bundledMenu.title, takenHandles: handles });
+        if (errors) throw stepError(errors);
+        handle = resolved;
+      }
+      const { items, report } = await remapMenuResources(admin, bundledMenu.items);
+      const preparedItems = prepareMenuItemsForCreate(items);
+      const createdMenu = await createMenu(context, { title: bundledMenu.title, handle, items: preparedItems, reason: SNAPSHOT_REASONS.import, failure: "Failed to create menu from bundle." });
+      return { message: `Created with handle ${createdMenu.handle}.`, result: { createdMenu, remapReport: report } };
+    },
+    audit: ({ input }, step) => ({
+      action: "importBundle",
+      targetMenuId: step.result?.createdMenu?.id,
+      message: `From bundled menu "${input.menus[Number(step.key)]?.originalHandle}".`,
+    }),
+  },
+};
+
+// Steps of an import job, writing into an existing menu or creating one titled `title`
+export function importMenuJobSteps({ intoExisting, title }) {
+  return [
+    { key: "remap", label: "Match linked resources to this store" },
+    { key: "write", label: intoExisting ? "Write the items into the menu" : `Create "${title}"` },
+  ];
+}
+
+// The job as the progress UI and the API see it, without its input or internal step output
+export function toJobStatus(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    steps: job.steps.map(({ output, ...step }) => step),
+  };
+}
+
+async function recordStepAudit(job, step) {
+  const entry = JOB_HANDLERS[job.type].audit(job, step);
+  if (!entry) return;
+  await recordAuditEntry({
+    shop: job.shop,
+    staff: job.staff,
+    source: job.source,
+    success: step.status === STEP_STATUS.done,
+    userErrors: step.errors,
+    message: step.message,
+    ...entry,
+  });
+}
+
+// Runs every step that has not finished yet and saves progress after each one
+async function processJob(job) {
+  const jobType = JOB_HANDLERS[job.type];
+  const steps = job.steps;
+  if (!jobType) {
+    await updateMenuJob(job.id, { status: JOB_STATUS.failed, error: `Unknown job type "${job.type}".`, finishedAt: new Date() });
+    return;
+  }
+
+  let context;
+  try {
+    const { admin } = await unauthenticated.admin(job.shop);
+    context = { ...createAdminGraphqlClient(admin), shop: job.shop };
+  } catch (error) {
+    console.error(`Menu jobs: could not open a session for ${job.shop}:`, error);
+    await updateMenuJob(job.id, { status: JOB_STATUS.failed, error: "The store could not be reached. Try again later.", finishedAt: new Date() });
+    return;
+  }
+
+  for (const step of steps) {
+    if (step.status === STEP_STATUS.done) continue;
+    if (jobType.sequential && steps.some((other) => other.status === STEP_STATUS.failed)) break;
+    Object.assign(step, { status: STEP_STATUS.running, message: null, errors: null });
+    await updateMenuJob(job.id, { steps });
+    try {
+      const { message, result, output } = await jobType.run(context, job, step, steps);
+      Object.assign(step, { status: STEP_STATUS.done, message: message || null, result: result || null, output: output || null });
+    } catch (error) {
+      console.error(`Menu jobs: step ${step.key} of job ${job.id} failed:`, error);
+      Object.assign(step, { status: STEP_STATUS.failed, errors: error.errors || [{ message: error.message || "An unexpected error occurred." }] });
+    }
+    await updateMenuJob(job.id, { steps });
+    await recordStepAudit(job, step);
+  }
+
+  const failed = steps.some((step) => step.status !== STEP_STATUS.done);
+  await updateMenuJob(job.id, { status: failed ? JOB_STATUS.failed : JOB_STATUS.completed, error: null, finishedAt: new Date() });
+}
+
+// Picks up jobs whose worker stopped mid-step. Jobs stopped in a repeatable step
+// are queued again; the rest fail with the interrupted step marked.
+async function recoverStaleMenuJobs() {
+  const jobs = await getStaleMenuJobs(new Date(Date.now() - STALE_JOB_MS));
+  for (const job of jobs) {
+    const repeatableSteps = JOB_HANDLERS[job.type]?.repeatableSteps || [];
+    const interrupted = [];
+    const steps = job.steps.map((step) => {
+      if (step.status !== STEP_STATUS.running) return step;
+      if (repeatableSteps.includes(step.key)) return { ...step, status: STEP_STATUS.pending };
+      const failedStep = { ...step, status: STEP_STATUS.failed, errors: [{ message: "Interrupted before it finished. Check the store for a partial change before retrying." }] };
+      interrupted.push(failedStep);
+      return failedStep;
+    });
+    const recovered = await recoverStaleMenuJob(job, interrupted.length > 0
+      ? { status: JOB_STATUS.failed, steps, finishedAt: new Date() }
+      : { status: JOB_STATUS.queued, steps });
+    if (!recovered || !JOB_HANDLERS[job.type]) continue;
+    for (const step of interrupted) await recordStepAudit(job, step);
+  }
+}
+
+let isRunning = false;
+
+// Works through the queue one job at a time until it is empty
+export async function runQueuedMenuJobs() {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    await recoverStaleMenuJobs();
+    for (let job = await claimNextMenuJob(); job; job = await claimNextMenuJob()) {
+      try {
+        await processJob(job);
+      } catch (error) {
+        console.error(`Menu jobs: job ${job.id} for ${job.shop} failed:`, error);
+        // The job is gone when shop/redact deleted the shop's data while it ran
+        await updateMenuJob(job.id, { status: JOB_STATUS.failed, error: error.message || "An unexpected error occurred.", finishedAt: new Date() })
+          .catch((updateError) => console.error(`Menu jobs: could not mark job ${job.id} as failed:`, updateError));
+      }
+    }
+  } catch (error) {
+    console.error("Menu jobs: could not load queued jobs:", error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+// Queues a job and wakes the worker. `steps` are `{ key, label }`.
+export async function enqueueMenuJob({ shop, staff, source, type, input, steps }) {
+  const job = await createMenuJob({ shop, staff, source, type, input, steps });
+  runQueuedMenuJobs();
+  return job;
+}
+
+// Queues a failed job again. Steps that finished are kept; failed and skipped ones run again.
+// Returns `{ job, errors }`.
+export async function retryMenuJob(id, shop, staff) {
+  const job = await getMenuJob(id, shop);
+  if (!job) return { job: null, errors: [{ message: "Job not found." }] };
+  if (job.status !== JOB_STATUS.failed) return { job: null, errors: [{ message: "Only failed jobs can be retried." }] };
+  const steps = job.steps.map((step) => (step.status === STEP_STATUS.done ? step : { ...step, status: STEP_STATUS.pending, message: null, errors: null }));
+  const queued = await updateMenuJob(job.id, { status: JOB_STATUS.queued, steps, staff, error: null, finishedAt: null });
+  runQueuedMenuJobs();
+  return { job: queued, errors: null };
+}
+
+// Starts the polling loop once per process. Kept on `global` so dev server
+// reloads do not start a second loop.
+export function startMenuJobWorker() {
+  if (global.menuJobWorkerInterval) return;
+  global.menuJobWorkerInterval = setInterval(() => runQueuedMenuJobs(), WORKER_INTERVAL_MS);
+  global.menuJobWorkerInterval.unref?.();
+  runQueuedMenuJobs();
+}
@@ -0,0 +1,15 @@
+// app/menu-schedule.js
+// Shared by the schedules page and the server-side scheduler.
+
+// scheduled -> active (campaign items applied) -> completed (original items back).
+// Schedules without an end date complete as soon as the swap is applied.
+// starting and ending mark a schedule claimed by a run while its swap is applied.
+export const SCHEDULE_STATUS = {
+  scheduled: "scheduled",
+  starting: "starting",
+  active: "active",
+  ending: "ending",
+  completed: "completed",
+  cancelled: "cancelled",
+  failed: "failed",
+};
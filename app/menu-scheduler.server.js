@@ -0,0 +1,168 @@
+// app/menu-scheduler.server.js
+// Applies scheduled menu swaps in the background. Runs in the app server process
+// and talks to the Admin API through each shop's offline session, so no
+// merchant needs to have the app open when a campaign starts or ends.
+import { unauthenticated } from "./shopify.server";
+import { fetchMenuTree, prepareMenuItemsForCreate, prepareMenuItemsForUpdate, truncationErrors } from "./menu-tree.server";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "./models/MenuSnapshot.server";
+import {
+  claimMenuSchedule,
+  getDueMenuSchedules,
+  releaseStaleMenuSchedules,
+  updateMenuSchedule,
+} from "./models/MenuSchedule.server";
+import { SCHEDULE_STATUS } from "./menu-schedule";
+import { recordAuditEntry } from "./audit-log.server";
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+// A swap takes a few requests; a claim older than this belongs to a stopped process
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const UPDATE_MENU_MUTATION = `
+  mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const errorMessage = (errors) => errors.map((error) => error.message).join(" ");
+
+// Fetches a menu and refuses trees that are nested too deeply to copy safely
+async function fetchCompleteMenu(admin, menuId, label) {
+  const { menu, truncated, errors } = await fetchMenuTree(admin, menuId);
+  if (errors) throw new Error(errorMessage(errors));
+  if (!menu) throw new Error(`The ${label} menu no longer exists.`);
+  if (truncated.length > 0) throw new Error(errorMessage(truncationErrors(truncated)));
+  return menu;
+}
+
+// Replaces every item of the menu, keeping its title and handle
+async function replaceMenuItems(admin, menu, items) {
+  const response = await admin.graphql(UPDATE_MENU_MUTATION, {
+    variables: { id: menu.id, title: menu.title, handle: menu.handle, items: prepareMenuItemsForUpdate(items) },
+  });
+  const responseJson = await response.json();
+  const userErrors = responseJson.data?.menuUpdate?.userErrors || [];
+  if (userErrors.length > 0) throw new Error(errorMessage(userErrors));
+  if (responseJson.errors) throw new Error(errorMessage(responseJson.errors));
+}
+
+// Copies the source menu's items into the target and keeps the target's
+// current items on the schedule so they can be put back later
+async function startSwap(admin, schedule, now) {
+  if (schedule.endsAt && schedule.endsAt <= now) {
+    throw new Error("The campaign ended before the swap could be applied.");
+  }
+  const target = await fetchCompleteMenu(admin, schedule.targetMenuId, "target");
+  const source = await fetchCompleteMenu(admin, schedule.sourceMenuId, "campaign");
+  const originalItems = prepareMenuItemsForCreate(target.items);
+
+  await createMenuSnapshot({ shop: schedule.shop, menu: target, items: originalItems, reason: SNAPSHOT_REASONS.beforeScheduledSwap });
+  await replaceMenuItems(admin, target, prepareMenuItemsForCreate(source.items));
+  await updateMenuSchedule(schedule.id, {
+    status: schedule.endsAt ? SCHEDULE_STATUS.active : SCHEDULE_STATUS.completed,
+    originalItems,
+    lastError: null,
+  });
+  console.log(`Menu scheduler: applied "${schedule.sourceMenuTitle}" to ${schedule.targetMenuHandle} for ${schedule.shop}`);
+}
+
+// Puts the original items back when the campaign ends
+async function endSwap(admin, schedule) {
+  // Never fall back to an empty list: that would wipe the live menu. The failed
+  // restore stays active with the error shown instead.
+  if (!Array.isArray(schedule.originalItems)) {
+    throw new Error("The original menu items were not saved or could not be read, so the menu was left as it is.");
+  }
+  const target = await fetchCompleteMenu(admin, schedule.targetMenuId, "target");
+  await createMenuSnapshot({ shop: schedule.shop, menu: target, items: prepareMenuItemsForCreate(target.items), reason: SNAPSHOT_REASONS.beforeScheduledRestore });
+  await replaceMenuItems(admin, target, schedule.originalItems);
+  await updateMenuSchedule(schedule.id, { status: SCHEDULE_STATUS.completed, lastError: null });
+  console.log(`Menu scheduler: restored ${schedule.targetMenuHandle} for ${schedule.shop}`);
+}
+
+// Claims the schedule and applies its start or end. Returns false when another
+// run already took it. A failed start is marked failed; a failed restore goes
+// back to active with the error recorded, so the scheduler retries it.
+// `claim` holds extra fields to set with the claim, e.g. an earlier end time.
+export async function runMenuSchedule(schedule, { admin, now = new Date(), claim = {} } = {}) {
+  const isStart = schedule.status === SCHEDULE_STATUS.scheduled;
+  const claimed = await claimMenuSchedule(schedule.id, schedule.status, {
+    status: isStart ? SCHEDULE_STATUS.starting : SCHEDULE_STATUS.ending,
+    ...claim,
+  });
+  if (!claimed) return false;
+
+  try {
+    const shopAdmin = admin || (await unauthenticated.admin(schedule.shop)).admin;
+    if (isStart) {
+      await startSwap(shopAdmin, schedule, now);
+    } else {
+      await endSwap(shopAdmin, schedule);
+    }
+  } catch (error) {
+    await updateMenuSchedule(schedule.id, {
+      status: isStart ? SCHEDULE_STATUS.failed : SCHEDULE_STATUS.active,
+      lastError: error.message || "An unexpected error occurred.",
+    });
+    throw error;
+  }
+  return true;
+}
+
+let isRunning = false;
+
+// Processes every schedule that is due
+export async function runDueMenuSchedules(now = new Date()) {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    await releaseStaleMenuSchedules(new Date(now.getTime() - STALE_CLAIM_MS));
+    const schedules = await getDueMenuSchedules(now);
+    for (const schedule of schedules) {
+      const isStart = schedule.status === SCHEDULE_STATUS.scheduled;
+      const auditEntry = {
+        shop: schedule.shop,
+        source: "scheduler",
+        action: isStart ? "scheduledSwapStart" : "scheduledSwapEnd",
+        sourceMenuId: isStart ? schedule.sourceMenuId : null,
+        targetMenuId: schedule.targetMenuId,
+      };
+      try {
+        if (await runMenuSchedule(schedule, { now })) {
+          await recordAuditEntry({ ...auditEntry, success: true });
+        }
+      } catch (error) {
+        console.error(`Menu scheduler: schedule ${schedule.id} for ${schedule.shop} failed:`, error);
+        const lastError = error.message || "An unexpected error occurred.";
+        // Restores are retried every run; only log a failure when it changes
+        if (lastError !== schedule.lastError) {
+          await recordAuditEntry({ ...auditEntry, success: false, userErrors: [{ message: lastError }] });
+        }
+      }
+    }
+  } catch (error) {
+    console.error("Menu scheduler: could not load due schedules:", error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+// Starts the polling loop once per process. Kept on `global` so dev server
+// reloads do not start a second loop.
+export function startMenuScheduler() {
+  if (global.menuSchedulerInterval) return;
+  global.menuSchedulerInterval = setInterval(() => runDueMenuSchedules(), SCHEDULER_INTERVAL_MS);
+  global.menuSchedulerInterval.unref?.();
+  runDueMenuSchedules();
+}
@@ -0,0 +1,73 @@
+// app/menu-template.js
+// Template parameters, shared by the templates page and its server action.
+// Templates may contain {{name}} placeholders in titles, URLs and resource
+// handles; the handle prefix applies to any template and the storefront domain
+// to templates that know which domains they were saved from.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g;
+
+// Fields that may contain placeholders
+const PLACEHOLDER_FIELDS = ["title", "url", "resourceHandle"];
+
+// Lists the placeholder names used anywhere in a template, in order of first use
+export function findTemplatePlaceholders(items, names = new Set()) {
+  for (const item of items || []) {
+    for (const field of PLACEHOLDER_FIELDS) {
+      if (typeof item[field] !== "string") continue;
+      for (const match of item[field].matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+    }
+    findTemplatePlaceholders(item.items, names);
+  }
+  return [...names];
+}
+
+// Accepts "shop.example.com" as well as "https://shop.example.com/"
+export function normalizeStorefrontDomain(domain) {
+  return (domain || "").trim().replace(/^https?:\/\//i, "").replace(/\/.*$/, "").toLowerCase();
+}
+
+// Only links to the source store are moved; links to other sites stay as they are
+function replaceDomain(url, domain, sourceDomains) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return url;
+    if (!sourceDomains.includes(parsed.hostname.toLowerCase())) return url;
+    parsed.host = domain;
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+// Fills in a template. `values` maps placeholder names to text,
+// `handlePrefix` is put in front of every collection handle and `domain`
+// replaces the host of absolute web address links pointing at one of `sourceDomains`.
+// Returns `{ items, errors }`; errors list placeholders left without a value.
+export function applyTemplateParameters(items, { values = {}, handlePrefix = "", domain = "", sourceDomains = [] } = {}) {
+  const missing = findTemplatePlaceholders(items).filter((name) => !values[name]?.toString().trim());
+  if (missing.length > 0) {
+    return { items: null, errors: missing.map((name) => ({ field: [`param_${name}`], message: `Enter a value for {{${name}}}.` })) };
+  }
+  const storefrontDomain = normalizeStorefrontDomain(domain);
+  const fromDomains = sourceDomains.map(normalizeStorefrontDomain);
+  const prefix = handlePrefix.trim();
+  const fill = (text) => text.replace(PLACEHOLDER_PATTERN, (_match, name) => values[name].toString().trim());
+
+  const apply = (list) => (list || []).map((item) => {
+    const newItem = { ...item };
+    for (const field of PLACEHOLDER_FIELDS) {
+      if (typeof newItem[field] === "string") newItem[field] = fill(newItem[field]);
+    }
+    if (prefix && newItem.type === "COLLECTION" && newItem.resourceHandle) {
+      newItem.resourceHandle = `${prefix}${newItem.resourceHandle}`;
+      // The stored ID points at the unprefixed collection, so match by handle only
+      delete newItem.resourceId;
+    }
+    if (storefrontDomain && newItem.type === "HTTP" && newItem.url) {
+      newItem.url = replaceDomain(newItem.url, storefrontDomain, fromDomains);
+    }
+    if (item.items?.length > 0) newItem.items = apply(item.items);
+    return newItem;
+  });
+  return { items: apply(items), errors: null };
+}
@@ -0,0 +1,214 @@
+// app/menu-translations.server.js
+// Menu item titles are translated through Shopify's translatable resources.
+// Each menu item is exposed there as a LINK resource with the same numeric ID.
+// Files pair rows with items by their position in the tree, so a file exported
+// from one menu can be imported into a duplicate of it.
+import { escapeCsvValue, parseCsvRows } from "./menu-csv";
+import { chunk } from "./resource-remap.server";
+
+export const TRANSLATION_CSV_BASE_COLUMNS = ["path", "title"];
+
+// Translatable resources fetched per query; each also reads one field per locale
+const TRANSLATION_BATCH_SIZE = 50;
+
+const SHOP_LOCALES_QUERY = `
+  query getShopLocales {
+    shopLocales(published: true) {
+      locale
+      name
+      primary
+    }
+  }
+`;
+
+const REGISTER_TRANSLATIONS_MUTATION = `
+  mutation registerMenuItemTranslations($resourceId: ID!, $translations: [TranslationInput!]!) {
+    translationsRegister(resourceId: $resourceId, translations: $translations) {
+      translations {
+        key
+        locale
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export function menuItemTranslatableId(menuItemId) {
+  return menuItemId.replace("gid://shopify/MenuItem/", "gid://shopify/Link/");
+}
+
+// Published locales other than the shop's primary one.
+// Returns `{ primaryLocale, locales: [{ locale, name }], errors }`.
+export async function fetchTranslationLocales(admin) {
+  const response = await admin.graphql(SHOP_LOCALES_QUERY);
+  const responseJson = await response.json();
+  if (responseJson.errors) {
+    return { primaryLocale: null, locales: [], errors: responseJson.errors };
+  }
+  const shopLocales = responseJson.data?.shopLocales || [];
+  return {
+    primaryLocale: shopLocales.find((shopLocale) => shopLocale.primary)?.locale || null,
+    locales: shopLocales.filter((shopLocale) => !shopLocale.primary).map(({ locale, name }) => ({ locale, name })),
+    errors: null,
+  };
+}
+
+// Flattens a tree fetched with item IDs into `{ pathKey, id, title }` rows.
+// Path keys are 1-based positions, e.g. "2.1" for the first child of the second item.
+export function flattenMenuItems(items, path = []) {
+  return (items || []).flatMap((item, index) => {
+    const itemPath = [...path, index + 1];
+    return [{ pathKey: itemPath.join("."), id: item.id, title: item.title }, ...flattenMenuItems(item.items, itemPath)];
+  });
+}
+
+function buildTranslationsQuery(locales) {
+  return `
+    query getMenuItemTranslations($ids: [ID!]!${locales.map((_, index) => `, $l${index}: String!`).join("")}) {
+      translatableResourcesByIds(first: ${TRANSLATION_BATCH_SIZE}, resourceIds: $ids) {
+        nodes {
+          resourceId
+          translatableContent { key value digest }
+          ${locales.map((_, index) => `l${index}: translations(locale: $l${index}) { key value }`).join("\n          ")}
+        }
+      }
+    }
+  `;
+}
+
+// Returns a Map of menu item ID -> `{ digest, values: { locale: title } }`.
+// The digest identifies the default-language title a translation belongs to.
+async function fetchItemTranslations(admin, itemIds, locales) {
+  const result = new Map();
+  const query = buildTranslationsQuery(locales);
+  for (const batch of chunk(itemIds, TRANSLATION_BATCH_SIZE)) {
+    const variables = { ids: batch.map(menuItemTranslatableId), ...Object.fromEntries(locales.map(({ locale }, index) => [`l${index}`, locale])) };
+    const response = await admin.graphql(query, { variables });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(`Failed to read menu translations: ${responseJson.errors.map((e) => e.message).join(", ")}`);
+    }
+    for (const node of responseJson.data?.translatableResourcesByIds?.nodes || []) {
+      const values = {};
+      locales.forEach(({ locale }, index) => {
+        const title = node[`l${index}`]?.find((translation) => translation.key === "title")?.value;
+        if (title) values[locale] = title;
+      });
+      const itemId = batch.find((id) => menuItemTranslatableId(id) === node.resourceId);
+      result.set(itemId, {
+        digest: node.translatableContent?.find((content) => content.key === "title")?.digest || null,
+        values,
+      });
+    }
+  }
+  return result;
+}
+
+// Registers `{ itemId, digest, values }` entries. Returns `{ registered, errors }`.
+async function registerItemTranslations(admin, entries) {
+  let registered = 0;
+  const errors = [];
+  for (const { itemId, digest, values, label } of entries) {
+    const translations = Object.entries(values).map(([locale, value]) => ({ locale, key: "title", value, translatableContentDigest: digest }));
+    if (translations.length === 0) continue;
+    if (!digest) {
+      errors.push({ message: `${label}: the item cannot be translated.` });
+      continue;
+    }
+    const response = await admin.graphql(REGISTER_TRANSLATIONS_MUTATION, { variables: { resourceId: menuItemTranslatableId(itemId), translations } });
+    const responseJson = await response.json();
+    const userErrors = responseJson.data?.translationsRegister?.userErrors || [];
+    if (responseJson.errors || userErrors.length > 0) {
+      errors.push(...(userErrors.length > 0 ? userErrors : responseJson.errors).map((error) => ({ message: `${label}: ${error.message}` })));
+      continue;
+    }
+    registered += translations.length;
+  }
+  return { registered, errors };
+}
+
+// Builds the translations file for a menu fetched with item IDs:
+// one row per item, one column per published locale.
+export async function buildTranslationsCsv(admin, menu, locales) {
+  const rows = flattenMenuItems(menu.items);
+  const translations = await fetchItemTranslations(admin, rows.map((row) => row.id), locales);
+  const lines = [[...TRANSLATION_CSV_BASE_COLUMNS, ...locales.map(({ locale }) => locale)].join(",")];
+  for (const row of rows) {
+    const values = translations.get(row.id)?.values || {};
+    lines.push([row.pathKey, row.title, ...locales.map(({ locale }) => values[locale])].map(escapeCsvValue).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// Imports a translations file into a menu fetched with item IDs. Rows whose
+// title no longer matches the item at that position are skipped, since the
+// translation would belong to different text. Empty cells are left untouched.
+// Returns `{ registered, warnings, errors }`.
+export async function importTranslationsCsv(admin, menu, text, locales) {
+  const [header, ...rows] = parseCsvRows(text);
+  const columns = (header || []).map((column) => column.trim());
+  if (columns[0] !== TRANSLATION_CSV_BASE_COLUMNS[0] || columns[1] !== TRANSLATION_CSV_BASE_COLUMNS[1]) {
+    return { registered: 0, warnings: [], errors: [{ field: ["file"], message: `The file must start with the columns ${TRANSLATION_CSV_BASE_COLUMNS.join(", ")}.` }] };
+  }
+
+  const warnings = [];
+  const publishedLocales = new Set(locales.map(({ locale }) => locale));
+  const localeColumns = columns.slice(2).map((locale, offset) => ({ locale, index: offset + 2 })).filter(({ locale }) => {
+    if (publishedLocales.has(locale)) return true;
+    warnings.push(`Column "${locale}" was ignored because it is not a published language of this store.`);
+    return false;
+  });
+
+  const itemsByPath = new Map(flattenMenuItems(menu.items).map((row) => [row.pathKey, row]));
+  const pending = [];
+  rows.forEach((cells, rowIndex) => {
+    const line = rowIndex + 2;
+    const item = itemsByPath.get(cells[0]?.trim());
+    if (!item) {
+      warnings.push(`Line ${line}: there is no menu item at position ${cells[0]}.`);
+      return;
+    }
+    if ((cells[1] || "").trim() !== item.title.trim()) {
+      warnings.push(`Line ${line}: "${cells[1]}" does not match the item at position ${item.pathKey} ("${item.title}"), so it was skipped.`);
+      return;
+    }
+    const values = Object.fromEntries(localeColumns.map(({ locale, index }) => [locale, cells[index]?.trim()]).filter(([, value]) => value));
+    if (Object.keys(values).length > 0) pending.push({ item, values, label: `Line ${line}` });
+  });
+
+  const translations = await fetchItemTranslations(admin, pending.map(({ item }) => item.id), []);
+  const { registered, errors } = await registerItemTranslations(admin, pending.map(({ item, values, label }) => ({
+    itemId: item.id,
+    digest: translations.get(item.id)?.digest,
+    values,
+    label,
+  })));
+  return { registered, warnings, errors };
+}
+
+// Copies every translation from one menu to another with the same structure,
+// e.g. right after duplicating. Both trees must be fetched with item IDs.
+// Returns `{ registered, errors }`.
+export async function copyMenuTranslations(admin, sourceItems, targetItems) {
+  const { locales, errors: localeErrors } = await fetchTranslationLocales(admin);
+  if (localeErrors) return { registered: 0, errors: localeErrors };
+  if (locales.length === 0) return { registered: 0, errors: [] };
+
+  const sourceRows = flattenMenuItems(sourceItems);
+  const targetRows = new Map(flattenMenuItems(targetItems).map((row) => [row.pathKey, row]));
+  const sourceTranslations = await fetchItemTranslations(admin, sourceRows.map((row) => row.id), locales);
+  const pairs = sourceRows
+    .map((row) => ({ source: row, target: targetRows.get(row.pathKey) }))
+    .filter(({ source, target }) => target && target.title === source.title && Object.keys(sourceTranslations.get(source.id)?.values || {}).length > 0);
+  const targetTranslations = await fetchItemTranslations(admin, pairs.map(({ target }) => target.id), []);
+
+  return registerItemTranslations(admin, pairs.map(({ source, target }) => ({
+    itemId: target.id,
+    digest: targetTranslations.get(target.id)?.digest,
+    values: sourceTranslations.get(source.id).values,
+    label: `"${target.title}"`,
+  })));
+}
@@ -0,0 +1,137 @@
+// app/menu-tree.server.js
+// Single definition of the menu item fields we read and write. The tree query and
+// the create/update mapping are both built from it, so they cannot drift apart.
+import { MAX_MENU_DEPTH, countMenuItems, formatItemPath } from "./menu-validation";
+
+// Fields fetched for each menu item and copied back on menuCreate / menuUpdate
+export const MENU_ITEM_FIELDS = ["title", "url", "type", "resourceId"];
+
+// Builds the nested `items { ... }` selection. One extra level fetching only `id`
+// is appended below the deepest level so truncated children can be detected.
+export function buildItemsSelection(depth = MAX_MENU_DEPTH, { fields = MENU_ITEM_FIELDS } = {}) {
+  if (depth === 0) return "items { id }";
+  return `items { ${fields.join(" ")} ${buildItemsSelection(depth - 1, { fields })} }`;
+}
+
+export function buildMenuTreeQuery({ depth = MAX_MENU_DEPTH, withItemIds = false } = {}) {
+  return `
+    query getMenuTree($id: ID!) {
+      menu(id: $id) {
+        id
+        handle
+        title
+        isDefault
+        ${buildItemsSelection(depth, { fields: withItemIds ? ["id", ...MENU_ITEM_FIELDS] : MENU_ITEM_FIELDS })}
+      }
+    }
+  `;
+}
+
+const MENU_TREE_QUERY = buildMenuTreeQuery();
+const MENU_TREE_QUERY_WITH_IDS = buildMenuTreeQuery({ withItemIds: true });
+
+// Lists items that have children below the fetched depth
+export function findTruncatedItems(items, { depth = 1, path = [], maxDepth = MAX_MENU_DEPTH } = {}) {
+  if (!items || items.length === 0) return [];
+  return items.flatMap((item, index) => {
+    const itemPath = [...path, index];
+    if (depth >= maxDepth) {
+      return item.items?.length > 0 ? [{ path: itemPath, title: item.title, hiddenChildren: item.items.length }] : [];
+    }
+    return findTruncatedItems(item.items, { depth: depth + 1, path: itemPath, maxDepth });
+  });
+}
+
+// Removes the `id`-only probe level added by buildItemsSelection
+function stripProbeLevel(items, depth = 1) {
+  if (!items) return [];
+  return items.map((item) => ({
+    ...item,
+    items: depth >= MAX_MENU_DEPTH ? [] : stripProbeLevel(item.items, depth + 1),
+  }));
+}
+
+// Fetches a menu with its full item tree. `truncated` lists any items whose
+// children were cut off by the query depth; callers should refuse to write a
+// tree with truncated items instead of silently dropping them.
+export async function fetchMenuTree(admin, menuId, { withItemIds = false } = {}) {
+  const response = await admin.graphql(withItemIds ? MENU_TREE_QUERY_WITH_IDS : MENU_TREE_QUERY, { variables: { id: menuId } });
+  const responseJson = await response.json();
+  if (responseJson.errors) {
+    return { menu: null, truncated: [], errors: responseJson.errors };
+  }
+  const menu = responseJson.data?.menu;
+  if (!menu) {
+    return { menu: null, truncated: [], errors: null };
+  }
+  const truncated = findTruncatedItems(menu.items);
+  return { menu: { ...menu, items: stripProbeLevel(menu.items) }, truncated, errors: null };
+}
+
+// Turns a truncation report into the app's usual `{ field, message }` error list
+export function truncationErrors(truncated) {
+  return truncated.map(({ path, title, hiddenChildren }) => ({
+    field: ["menu"],
+    message: `${formatItemPath(path)} ("${title}") has ${hiddenChildren} nested item(s) deeper than ${MAX_MENU_DEPTH} levels that cannot be copied.`,
+  }));
+}
+
+// Helper function to prepare menu items (used by Import, Duplicate, Export and snapshots)
+export function prepareMenuItemsForCreate(items) {
+  if (!items || items.length === 0) return [];
+  return items.map((item) => {
+    const newItem = {};
+    for (const field of MENU_ITEM_FIELDS) {
+      if (item[field] !== undefined && item[field] !== null) {
+        newItem[field] = item[field];
+      }
+    }
+    if (item.items && item.items.length > 0) {
+      newItem.items = prepareMenuItemsForCreate(item.items);
+    }
+    return newItem;
+  });
+}
+
+// Maps items to MenuItemUpdateInput. Items that carry an `id` keep it so Shopify
+// updates them in place; items without one are created.
+export function prepareMenuItemsForUpdate(items) {
+  if (!items || items.length === 0) return [];
+  return items.map((item) => {
+    const newItem = { items: prepareMenuItemsForUpdate(item.items) };
+    if (item.id) newItem.id = item.id;
+    for (const field of MENU_ITEM_FIELDS) {
+      if (item[field] !== undefined && item[field] !== null && item[field] !== "") {
+        newItem[field] = item[field];
+      }
+    }
+    if (typeof newItem.title === "string") newItem.title = newItem.title.trim();
+    return newItem;
+  });
+}
+
+// Items are considered the same when title (ignoring case) and URL match
+const mergeKey = (item) => `${(item.title || "").trim().toLowerCase()}|${item.url || ""}`;
+
+// Merges imported items into an existing tree. Existing items stay where they
+// are with their IDs; imported items that match one are merged into its
+// children, and the rest are appended at the same level.
+// Returns `{ items, addedCount }`.
+export function mergeMenuItems(existingItems, importedItems) {
+  let addedCount = 0;
+  const merge = (existing, imported) => {
+    const result = (existing || []).map((item) => ({ ...item, items: item.items || [] }));
+    for (const importedItem of imported || []) {
+      const match = result.find((item) => mergeKey(item) === mergeKey(importedItem));
+      if (match) {
+        match.items = merge(match.items, importedItem.items);
+      } else {
+        result.push(importedItem);
+        addedCount += 1 + countMenuItems(importedItem.items);
+      }
+    }
+    return result;
+  };
+  const items = merge(existingItems, importedItems);
+  return { items, addedCount };
+}
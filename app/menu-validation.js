@@ -0,0 +1,118 @@
+// app/menu-validation.js
+// Shared by the editor UI and the server actions, so keep it free of server-only imports.
+
+// Shopify navigation allows a top level plus two nested levels
+export const MAX_MENU_DEPTH = 3;
+
+// Values of the Admin API MenuItemType enum
+export const MENU_ITEM_TYPES = [
+  "ARTICLE",
+  "BLOG",
+  "CATALOG",
+  "COLLECTION",
+  "COLLECTIONS",
+  "CUSTOMER_ACCOUNT_PAGE",
+  "FRONTPAGE",
+  "HTTP",
+  "METAOBJECT",
+  "PAGE",
+  "PRODUCT",
+  "SEARCH",
+  "SHOP_POLICY",
+];
+
+// Item types whose link is a plain URL rather than a resource
+export const URL_ITEM_TYPES = ["HTTP"];
+
+// Item types that must point at a resource, by ID or by an exported handle
+export const RESOURCE_ITEM_TYPES = ["ARTICLE", "BLOG", "COLLECTION", "METAOBJECT", "PAGE", "PRODUCT", "SHOP_POLICY"];
+
+// Returns the depth of the deepest item in a tree (0 for an empty tree)
+export function getMenuDepth(items) {
+  if (!items || items.length === 0) return 0;
+  return 1 + Math.max(...items.map((item) => getMenuDepth(item.items)));
+}
+
+// Counts every item in a nested tree
+export function countMenuItems(items) {
+  if (!items || items.length === 0) return 0;
+  return items.reduce((count, item) => count + 1 + countMenuItems(item.items), 0);
+}
+
+// Maps the ID of every item in a saved tree to the item, for validateMenuItems
+export function indexMenuItemsById(items, index = new Map()) {
+  for (const item of items || []) {
+    if (item?.id) index.set(item.id, item);
+    indexMenuItemsById(item?.items, index);
+  }
+  return index;
+}
+
+const EDITABLE_ITEM_FIELDS = ["title", "type", "url", "resourceId"];
+
+const isUnchangedItem = (item, original) => Boolean(original)
+  && EDITABLE_ITEM_FIELDS.every((field) => (item[field] || null) === (original[field] || null));
+
+// Validates a nested item tree and returns a flat list of problems.
+// Each problem carries the index path of the item it belongs to and,
+// when the tree was built by the editor, the item's client-side key.
+// When editing a saved menu, pass its items as `originalItems` (see
+// indexMenuItemsById): saved items left as they were may point at a deleted
+// resource, so the resource rule only applies to new and changed items.
+export function validateMenuItems(items, { depth = 1, path = [], originalItems } = {}) {
+  if (!items || items.length === 0) return [];
+  const errors = [];
+  items.forEach((item, index) => {
+    const itemPath = [...path, index];
+    if (!item || typeof item !== "object") {
+      errors.push({ path: itemPath, field: "item", message: "Each menu item must be an object." });
+      return;
+    }
+    const problem = (field, message) => errors.push({ path: itemPath, key: item.key, field, message });
+
+    if (!item.title || !item.title.toString().trim()) {
+      problem("title", "Title is required.");
+    }
+    if (!MENU_ITEM_TYPES.includes(item.type)) {
+      problem("type", item.type ? `"${item.type}" is not a valid menu item type.` : "Type is required.");
+    }
+    if (URL_ITEM_TYPES.includes(item.type) && !item.url?.toString().trim()) {
+      problem("url", "A URL is required for web address links.");
+    }
+    if (RESOURCE_ITEM_TYPES.includes(item.type) && !item.resourceId && !item.resourceHandle
+      && !(item.id && isUnchangedItem(item, originalItems?.get(item.id)))) {
+      problem("resourceId", `A ${item.type.toLowerCase().replace(/_/g, " ")} link needs a resource ID or handle.`);
+    }
+    if (item.items !== undefined && !Array.isArray(item.items)) {
+      problem("items", "Nested items must be a list.");
+    }
+    if (depth > MAX_MENU_DEPTH) {
+      problem("items", `Menus can only be nested ${MAX_MENU_DEPTH} levels deep.`);
+    }
+    if (Array.isArray(item.items)) {
+      errors.push(...validateMenuItems(item.items, { depth: depth + 1, path: itemPath, originalItems }));
+    }
+  });
+  return errors;
+}
+
+// Web address links may be storefront paths, anchors, or absolute
+// http(s), mailto: and tel: links
+export function isWellFormedMenuUrl(url) {
+  if (typeof url !== "string" || !url || /\s/.test(url)) return false;
+  if (url.startsWith("#")) return true;
+  if (url.startsWith("/") && !url.startsWith("//")) return true;
+  try {
+    const parsed = new URL(url.startsWith("//") ? `https:${url}` : url);
+    if (parsed.protocol === "http:" || parsed.protocol === "https:") return parsed.hostname.includes(".");
+    if (parsed.protocol === "mailto:" || parsed.protocol === "tel:") return parsed.pathname.length > 0;
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+// Formats an index path as a readable location, e.g. "Item 2 › 1"
+export function formatItemPath(path) {
+  return `Item ${path.map((index) => index + 1).join(" › ")}`;
+}
@@ -0,0 +1,169 @@
+// app/menus.server.js
+import { countMenuItems, getMenuDepth, MAX_MENU_DEPTH } from "./menu-validation";
+import { buildItemsSelection } from "./menu-tree.server";
+
+export const MENUS_PAGE_SIZE = 25;
+// Largest page the Admin API accepts, used when every menu is needed
+const ALL_MENUS_PAGE_SIZE = 250;
+// Each menu also brings its item tree, so fewer fit under the query cost limit
+const MENU_STRUCTURES_PAGE_SIZE = 50;
+
+// Item IDs are fetched only to count items and measure depth
+const MENU_STRUCTURE_SELECTION = buildItemsSelection(MAX_MENU_DEPTH, { fields: ["id"] });
+
+const GET_MENUS_PAGE_QUERY = `
+  query getMenusPage($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+    menus(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: TITLE) {
+      edges {
+        node {
+          id
+          title
+          handle
+          isDefault
+          ${MENU_STRUCTURE_SELECTION}
+        }
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
+    }
+  }
+`;
+
+const GET_MENU_STRUCTURES_QUERY = `
+  query getMenuStructures($first: Int!, $after: String, $query: String) {
+    menus(first: $first, after: $after, query: $query, sortKey: TITLE) {
+      nodes {
+        id
+        title
+        handle
+        isDefault
+        ${MENU_STRUCTURE_SELECTION}
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const GET_ALL_MENUS_QUERY = `
+  query getAllMenus($first: Int!, $after: String) {
+    menus(first: $first, after: $after, sortKey: TITLE) {
+      edges {
+        node {
+          id
+          title
+          handle
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// Menu structure filters offered by the menu list
+export const MENU_STRUCTURE_FILTERS = {
+  all: () => true,
+  nested: (menu) => menu.maxDepth > 1,
+  flat: (menu) => menu.maxDepth === 1,
+  empty: (menu) => menu.itemCount === 0,
+};
+
+// Characters with a meaning in Shopify search syntax are escaped with a backslash
+const escapeSearchTerm = (word) => word.replace(/[\\:()"'*]/g, "\\$&");
+
+// Each word must appear somewhere in the title, so spaces, quotes and colons in
+// the search box never turn into extra clauses
+function toMenuSearchQuery(search) {
+  const words = (search || "").trim().split(/\s+/).filter(Boolean);
+  return words.length > 0 ? words.map((word) => `title:*${escapeSearchTerm(word)}*`).join(" AND ") : null;
+}
+
+const toMenuSummary = ({ items, ...menu }) => ({
+  ...menu,
+  itemCount: countMenuItems(items),
+  maxDepth: getMenuDepth(items),
+});
+
+// Fetches one page of menus. Pass `after` to page forward or `before` to page back.
+// With a structure filter other than "all", see fetchFilteredMenusPage.
+export async function fetchMenusPage(admin, { after, before, search, structure = "all" } = {}) {
+  if (structure !== "all") return fetchFilteredMenusPage(admin, { after, before, search, structure });
+  const variables = before
+    ? { last: MENUS_PAGE_SIZE, before, query: toMenuSearchQuery(search) }
+    : { first: MENUS_PAGE_SIZE, after: after || null, query: toMenuSearchQuery(search) };
+  const response = await admin.graphql(GET_MENUS_PAGE_QUERY, { variables });
+  const responseJson = await response.json();
+  if (responseJson.errors) {
+    return { menus: [], pageInfo: null, errors: responseJson.errors };
+  }
+  const connection = responseJson.data?.menus;
+  const menus = (connection?.edges || []).map(({ node }) => toMenuSummary(node));
+  return { menus, pageInfo: connection?.pageInfo || null, errors: null };
+}
+
+// The Admin API cannot filter menus by structure, so every menu matching the
+// search is read, filtered here and then paged. Cursors are offsets into the
+// filtered list.
+async function fetchFilteredMenusPage(admin, { after, before, search, structure }) {
+  const menus = [];
+  let cursor = null;
+  do {
+    const response = await admin.graphql(GET_MENU_STRUCTURES_QUERY, {
+      variables: { first: MENU_STRUCTURES_PAGE_SIZE, after: cursor, query: toMenuSearchQuery(search) },
+    });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      return { menus: [], pageInfo: null, errors: responseJson.errors };
+    }
+    const connection = responseJson.data?.menus;
+    menus.push(...(connection?.nodes || []).map(toMenuSummary));
+    cursor = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  const filtered = menus.filter(MENU_STRUCTURE_FILTERS[structure]);
+  const end = before ? Math.min(Math.max(Number(before) || 0, 0), filtered.length) : null;
+  const start = end !== null ? Math.max(end - MENUS_PAGE_SIZE, 0) : Math.min(Math.max(Number(after) || 0, 0), filtered.length);
+  const pageEnd = end !== null ? end : Math.min(start + MENUS_PAGE_SIZE, filtered.length);
+  return {
+    menus: filtered.slice(start, pageEnd),
+    pageInfo: {
+      hasNextPage: pageEnd < filtered.length,
+      hasPreviousPage: start > 0,
+      startCursor: String(start),
+      endCursor: String(pageEnd),
+    },
+    errors: null,
+  };
+}
+
+// Walks every page of menus. Use for selects and bulk operations that need the whole shop.
+export async function fetchAllMenus(admin) {
+  const menus = [];
+  let after = null;
+  do {
+    const response = await admin.graphql(GET_ALL_MENUS_QUERY, { variables: { first: ALL_MENUS_PAGE_SIZE, after } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      return { menus, errors: responseJson.errors };
+    }
+    const connection = responseJson.data?.menus;
+    menus.push(...(connection?.edges || []).map((edge) => edge.node));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return { menus, errors: null };
+}
+
+// Looks a menu up by handle. Returns `{ menu, errors }`; `menu` is null when no menu has the handle.
+export async function findMenuByHandle(admin, handle) {
+  const { menus, errors } = await fetchAllMenus(admin);
+  return { menu: errors ? null : menus.find((menu) => menu.handle === handle) || null, errors };
+}
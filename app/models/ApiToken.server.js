@@ -0,0 +1,38 @@
+// app/models/ApiToken.server.js
+// Only a hash of each token is stored; the token itself is shown once when it is issued.
+import db from "../db.server";
+
+export async function createApiToken({ shop, name, tokenHash, tokenHint, createdBy }) {
+  return db.apiToken.create({
+    data: { shop, name, tokenHash, tokenHint, createdBy: createdBy || null },
+  });
+}
+
+// Newest first; the hash is left out since nothing outside authentication needs it
+export async function getApiTokens(shop) {
+  return db.apiToken.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, name: true, tokenHint: true, createdBy: true, lastUsedAt: true, revokedAt: true, createdAt: true },
+  });
+}
+
+export async function findActiveApiToken(tokenHash) {
+  return db.apiToken.findFirst({ where: { tokenHash, revokedAt: null } });
+}
+
+export async function markApiTokenUsed(id) {
+  return db.apiToken.update({ where: { id }, data: { lastUsedAt: new Date() } });
+}
+
+// Returns the revoked token, or null if the shop has no such active token
+export async function revokeApiToken(id, shop) {
+  const { count } = await db.apiToken.updateMany({ where: { id, shop, revokedAt: null }, data: { revokedAt: new Date() } });
+  return count > 0 ? db.apiToken.findFirst({ where: { id, shop } }) : null;
+}
+
+// Without the app installed the tokens would act on a shop that revoked access
+export async function revokeShopApiTokens(shop) {
+  const { count } = await db.apiToken.updateMany({ where: { shop, revokedAt: null }, data: { revokedAt: new Date() } });
+  return count;
+}
@@ -0,0 +1,69 @@
+// app/models/MenuAuditLog.server.js
+import db from "../db.server";
+
+export const AUDIT_PAGE_SIZE = 50;
+
+function deserializeEntry(entry) {
+  if (!entry) return null;
+  let userErrors = [];
+  if (entry.userErrors) {
+    try {
+      userErrors = JSON.parse(entry.userErrors);
+    } catch (error) {
+      console.error(`MenuAuditLog: Could not parse user errors of entry ${entry.id}:`, error);
+    }
+  }
+  return { ...entry, userErrors };
+}
+
+export async function createAuditEntry({ shop, staff, action, source, sourceMenuId, targetMenuId, success, userErrors, message }) {
+  const entry = await db.menuAuditLog.create({
+    data: {
+      shop,
+      userId: staff?.userId || null,
+      email: staff?.email || null,
+      firstName: staff?.firstName || null,
+      action,
+      source: source || "app",
+      sourceMenuId: sourceMenuId || null,
+      targetMenuId: targetMenuId || null,
+      outcome: success ? "success" : "failure",
+      userErrors: userErrors?.length ? JSON.stringify(userErrors) : null,
+      message: message || null,
+    },
+  });
+  return deserializeEntry(entry);
+}
+
+// A menu filter matches entries where the menu was either the source or the target.
+// `to` is exclusive. Returns one page, newest first, as `{ entries, hasNextPage }`.
+export async function getAuditEntries(shop, { action, outcome, menuId, userId, from, to, page = 1 } = {}) {
+  const where = {
+    shop,
+    ...(action ? { action } : {}),
+    ...(outcome ? { outcome } : {}),
+    ...(userId ? { userId } : {}),
+    ...(menuId ? { OR: [{ sourceMenuId: menuId }, { targetMenuId: menuId }] } : {}),
+    ...(from || to ? { createdAt: { ...(from ? { gte: from } : {}), ...(to ? { lt: to } : {}) } } : {}),
+  };
+  const entries = await db.menuAuditLog.findMany({
+    where,
+    orderBy: { createdAt: "desc" },
+    skip: (page - 1) * AUDIT_PAGE_SIZE,
+    take: AUDIT_PAGE_SIZE + 1,
+  });
+  return {
+    entries: entries.slice(0, AUDIT_PAGE_SIZE).map(deserializeEntry),
+    hasNextPage: entries.length > AUDIT_PAGE_SIZE,
+  };
+}
+
+// Staff members who appear in the log, for the staff filter
+export async function getAuditStaff(shop) {
+  return db.menuAuditLog.findMany({
+    where: { shop, userId: { not: null } },
+    distinct: ["userId"],
+    select: { userId: true, email: true, firstName: true },
+    orderBy: { createdAt: "desc" },
+  });
+}
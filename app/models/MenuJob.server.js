@@ -0,0 +1,89 @@
+// app/models/MenuJob.server.js
+import db from "../db.server";
+import { JOB_STATUS, STEP_STATUS } from "../menu-jobs";
+
+function parseJson(value, fallback, label) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`MenuJob: Could not parse ${label}:`, error);
+    return fallback;
+  }
+}
+
+function deserializeJob(job) {
+  if (!job) return null;
+  return {
+    ...job,
+    input: parseJson(job.input, {}, `input of job ${job.id}`),
+    steps: parseJson(job.steps, [], `steps of job ${job.id}`),
+    staff: parseJson(job.staff, null, `staff of job ${job.id}`),
+  };
+}
+
+// Steps are `{ key, label }`; each starts as pending. `source` is the audit log source.
+export async function createMenuJob({ shop, type, source, input, steps, staff }) {
+  const job = await db.menuJob.create({
+    data: {
+      shop,
+      type,
+      source: source || "app",
+      input: JSON.stringify(input),
+      steps: JSON.stringify(steps.map((step) => ({ ...step, status: STEP_STATUS.pending }))),
+      staff: staff ? JSON.stringify(staff) : null,
+    },
+  });
+  return deserializeJob(job);
+}
+
+export async function getMenuJob(id, shop) {
+  const job = await db.menuJob.findFirst({ where: { id, shop } });
+  return deserializeJob(job);
+}
+
+// Marks the oldest queued job as running and returns it, or null when the queue is empty
+export async function claimNextMenuJob() {
+  const next = await db.menuJob.findFirst({ where: { status: JOB_STATUS.queued }, orderBy: { createdAt: "asc" } });
+  if (!next) return null;
+  const { count } = await db.menuJob.updateMany({ where: { id: next.id, status: JOB_STATUS.queued }, data: { status: JOB_STATUS.running } });
+  return count > 0 ? deserializeJob({ ...next, status: JOB_STATUS.running }) : claimNextMenuJob();
+}
+
+export async function updateMenuJob(id, { steps, staff, ...data }) {
+  const job = await db.menuJob.update({
+    where: { id },
+    data: {
+      ...data,
+      ...(steps !== undefined ? { steps: JSON.stringify(steps) } : {}),
+      ...(staff !== undefined ? { staff: staff ? JSON.stringify(staff) : null } : {}),
+    },
+  });
+  return deserializeJob(job);
+}
+
+// Running jobs that have not saved progress since `staleBefore`, i.e. whose worker stopped
+export async function getStaleMenuJobs(staleBefore) {
+  const jobs = await db.menuJob.findMany({ where: { status: JOB_STATUS.running, updatedAt: { lt: staleBefore } } });
+  return jobs.map(deserializeJob);
+}
+
+// Updates a stale job only if no worker saved progress on it in the meantime,
+// so a job is recovered once. Returns whether it was updated.
+export async function recoverStaleMenuJob(job, { steps, ...data }) {
+  const { count } = await db.menuJob.updateMany({
+    where: { id: job.id, status: JOB_STATUS.running, updatedAt: job.updatedAt },
+    data: { ...data, steps: JSON.stringify(steps) },
+  });
+  return count > 0;
+}
+
+// Fails the shop's unfinished jobs, e.g. when the app is uninstalled. A job the
+// worker is running stops at its next Admin API call, which no longer has access.
+export async function stopShopMenuJobs(shop, reason) {
+  const { count } = await db.menuJob.updateMany({
+    where: { shop, status: { in: [JOB_STATUS.queued, JOB_STATUS.running] } },
+    data: { status: JOB_STATUS.failed, error: reason, finishedAt: new Date() },
+  });
+  return count;
+}
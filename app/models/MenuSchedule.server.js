@@ -0,0 +1,120 @@
+// app/models/MenuSchedule.server.js
+import db from "../db.server";
+import { SCHEDULE_STATUS } from "../menu-schedule";
+
+function deserializeSchedule(schedule) {
+  if (!schedule) return null;
+  let originalItems = null;
+  if (schedule.originalItems) {
+    try {
+      originalItems = JSON.parse(schedule.originalItems);
+    } catch (error) {
+      console.error(`MenuSchedule: Could not parse original items of schedule ${schedule.id}:`, error);
+    }
+  }
+  return { ...schedule, originalItems };
+}
+
+export async function createMenuSchedule({ shop, targetMenu, sourceMenu, startsAt, endsAt }) {
+  const schedule = await db.menuSchedule.create({
+    data: {
+      shop,
+      targetMenuId: targetMenu.id,
+      targetMenuTitle: targetMenu.title,
+      targetMenuHandle: targetMenu.handle,
+      sourceMenuId: sourceMenu.id,
+      sourceMenuTitle: sourceMenu.title,
+      startsAt,
+      endsAt: endsAt || null,
+    },
+  });
+  return deserializeSchedule(schedule);
+}
+
+export async function getMenuSchedules(shop) {
+  const schedules = await db.menuSchedule.findMany({
+    where: { shop },
+    orderBy: { startsAt: "desc" },
+  });
+  return schedules.map(deserializeSchedule);
+}
+
+export async function getMenuSchedule(id, shop) {
+  const schedule = await db.menuSchedule.findFirst({ where: { id, shop } });
+  return deserializeSchedule(schedule);
+}
+
+// Pending or running schedules on a menu whose window overlaps [startsAt, endsAt)
+export async function getOverlappingSchedules(shop, targetMenuId, { startsAt, endsAt }) {
+  const schedules = await db.menuSchedule.findMany({
+    where: {
+      shop,
+      targetMenuId,
+      status: { in: [SCHEDULE_STATUS.scheduled, SCHEDULE_STATUS.starting, SCHEDULE_STATUS.active, SCHEDULE_STATUS.ending] },
+      ...(endsAt ? { startsAt: { lt: endsAt } } : {}),
+      OR: [{ endsAt: null }, { endsAt: { gt: startsAt } }],
+    },
+  });
+  return schedules.map(deserializeSchedule);
+}
+
+// Schedules the scheduler has to act on: swaps that should start and
+// active swaps whose end time has passed
+export async function getDueMenuSchedules(now = new Date()) {
+  const schedules = await db.menuSchedule.findMany({
+    where: {
+      OR: [
+        { status: SCHEDULE_STATUS.scheduled, startsAt: { lte: now } },
+        { status: SCHEDULE_STATUS.active, endsAt: { lte: now } },
+      ],
+    },
+    orderBy: { startsAt: "asc" },
+  });
+  return schedules.map(deserializeSchedule);
+}
+
+// Moves the schedule on only if it still has the expected status, so two
+// runs (or a run and a merchant) never act on the same schedule
+export async function claimMenuSchedule(id, status, data) {
+  const { count } = await db.menuSchedule.updateMany({ where: { id, status }, data });
+  return count > 0;
+}
+
+// Claims left behind by a process that stopped mid-swap. An interrupted restore
+// is safe to repeat; an interrupted start may have changed the menu without
+// keeping its original items, so it is marked failed for the merchant to check.
+export async function releaseStaleMenuSchedules(staleBefore) {
+  const [restores, starts] = await db.$transaction([
+    db.menuSchedule.updateMany({
+      where: { status: SCHEDULE_STATUS.ending, updatedAt: { lt: staleBefore } },
+      data: { status: SCHEDULE_STATUS.active },
+    }),
+    db.menuSchedule.updateMany({
+      where: { status: SCHEDULE_STATUS.starting, updatedAt: { lt: staleBefore } },
+      data: { status: SCHEDULE_STATUS.failed, lastError: "The swap was interrupted. Check the menu before scheduling it again." },
+    }),
+  ]);
+  return restores.count + starts.count;
+}
+
+export async function updateMenuSchedule(id, { originalItems, ...data }) {
+  const schedule = await db.menuSchedule.update({
+    where: { id },
+    data: {
+      ...data,
+      ...(originalItems !== undefined ? { originalItems: originalItems ? JSON.stringify(originalItems) : null } : {}),
+    },
+  });
+  return deserializeSchedule(schedule);
+}
+
+// Without an offline session the scheduler cannot reach the shop, so pending
+// swaps are cancelled and running ones marked failed. Their original items are
+// kept until the shop's data is purged.
+export async function stopShopSchedules(shop, reason) {
+  const [cancelled, failed] = await db.$transaction([
+    db.menuSchedule.updateMany({ where: { shop, status: SCHEDULE_STATUS.scheduled }, data: { status: SCHEDULE_STATUS.cancelled, lastError: reason } }),
+    db.menuSchedule.updateMany({ where: { shop, status: { in: [SCHEDULE_STATUS.starting, SCHEDULE_STATUS.active, SCHEDULE_STATUS.ending] } }, data: { status: SCHEDULE_STATUS.failed, lastError: reason } }),
+  ]);
+  return cancelled.count + failed.count;
+}
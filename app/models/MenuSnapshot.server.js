@@ -0,0 +1,100 @@
+// app/models/MenuSnapshot.server.js
+import db from "../db.server";
+import { countMenuItems } from "../menu-validation";
+
+export const SNAPSHOT_PAGE_SIZE = 50;
+
+// Fields shown in the history list, so a page never loads the stored items
+const SNAPSHOT_SUMMARY_FIELDS = {
+  id: true,
+  menuId: true,
+  menuTitle: true,
+  menuHandle: true,
+  reason: true,
+  itemCount: true,
+  createdAt: true,
+};
+
+// Reasons recorded with each snapshot, shown on the history page
+export const SNAPSHOT_REASONS = {
+  duplicate: "Duplicated",
+  import: "Imported",
+  template: "Created from template",
+  generate: "Generated",
+  beforeEdit: "Before edit",
+  beforeImport: "Before import",
+  beforeRestore: "Before restore",
+  beforeFindReplace: "Before find and replace",
+  beforeLinkFix: "Before link fix",
+  beforeScheduledSwap: "Before scheduled swap",
+  beforeScheduledRestore: "Before scheduled restore",
+  beforeDelete: "Before delete",
+  restore: "Restored",
+};
+
+function deserializeSnapshot(snapshot) {
+  if (!snapshot) return null;
+  let items = [];
+  try {
+    items = JSON.parse(snapshot.items);
+  } catch (error) {
+    console.error(`MenuSnapshot: Could not parse items of snapshot ${snapshot.id}:`, error);
+  }
+  return { ...snapshot, items };
+}
+
+// Items are expected in the shape produced by prepareMenuItemsForCreate,
+// so a snapshot can be sent straight back to menuCreate / menuUpdate.
+export async function createMenuSnapshot({ shop, menu, items, reason }) {
+  const snapshot = await db.menuSnapshot.create({
+    data: {
+      shop,
+      menuId: menu.id,
+      menuTitle: menu.title,
+      menuHandle: menu.handle,
+      reason,
+      items: JSON.stringify(items || []),
+      itemCount: countMenuItems(items),
+    },
+  });
+  return deserializeSnapshot(snapshot);
+}
+
+// One page of summaries, newest first. `after` and `before` are snapshot IDs taken from
+// the previous page's pageInfo, in the same way as the menu list.
+export async function getMenuSnapshots(shop, { menuId, after, before } = {}) {
+  const cursorId = before || after;
+  const snapshots = await db.menuSnapshot.findMany({
+    where: { shop, ...(menuId ? { menuId } : {}) },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    select: SNAPSHOT_SUMMARY_FIELDS,
+    ...(cursorId ? { cursor: { id: cursorId }, skip: 1 } : {}),
+    take: before ? -(SNAPSHOT_PAGE_SIZE + 1) : SNAPSHOT_PAGE_SIZE + 1,
+  });
+  const hasMore = snapshots.length > SNAPSHOT_PAGE_SIZE;
+  const page = before ? snapshots.slice(hasMore ? 1 : 0) : snapshots.slice(0, SNAPSHOT_PAGE_SIZE);
+  return {
+    snapshots: page,
+    pageInfo: {
+      hasNextPage: before ? page.length > 0 : hasMore,
+      hasPreviousPage: before ? hasMore : Boolean(after),
+      startCursor: page[0]?.id || null,
+      endCursor: page[page.length - 1]?.id || null,
+    },
+  };
+}
+
+// Menus that have at least one snapshot, with the latest title and handle, for the menu filter
+export async function getSnapshotMenus(shop) {
+  return db.menuSnapshot.findMany({
+    where: { shop },
+    distinct: ["menuId"],
+    select: { menuId: true, menuTitle: true, menuHandle: true },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+export async function getMenuSnapshot(id, shop) {
+  const snapshot = await db.menuSnapshot.findFirst({ where: { id, shop } });
+  return deserializeSnapshot(snapshot);
+}
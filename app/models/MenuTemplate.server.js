@@ -0,0 +1,65 @@
+// app/models/MenuTemplate.server.js
+import db from "../db.server";
+
+function parseJson(value, fallback, label) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`MenuTemplate: Could not parse ${label}:`, error);
+    return fallback;
+  }
+}
+
+function deserializeTemplate(template) {
+  if (!template) return null;
+  return {
+    ...template,
+    items: parseJson(template.items, [], `items of template ${template.id}`),
+    sourceDomains: parseJson(template.sourceDomains, [], `source domains of template ${template.id}`),
+  };
+}
+
+// Items keep their resource handles (see attachResourceHandles), so a
+// template can be used in any store, not just the one it was saved from.
+// `sourceDomains` are the storefront hosts its absolute links point at.
+export async function createMenuTemplate({ shop, name, sourceMenuTitle, sourceDomains, items }) {
+  const template = await db.menuTemplate.create({
+    data: {
+      shop,
+      name,
+      sourceMenuTitle: sourceMenuTitle || null,
+      sourceDomains: sourceDomains?.length > 0 ? JSON.stringify(sourceDomains) : null,
+      items: JSON.stringify(items || []),
+    },
+  });
+  return deserializeTemplate(template);
+}
+
+export async function getMenuTemplates(shop) {
+  const templates = await db.menuTemplate.findMany({
+    where: { shop },
+    orderBy: { name: "asc" },
+  });
+  return templates.map(deserializeTemplate);
+}
+
+export async function getMenuTemplate(id, shop) {
+  const template = await db.menuTemplate.findFirst({ where: { id, shop } });
+  return deserializeTemplate(template);
+}
+
+export async function findMenuTemplateByName(shop, name) {
+  const template = await db.menuTemplate.findFirst({ where: { shop, name } });
+  return deserializeTemplate(template);
+}
+
+export async function renameMenuTemplate(id, shop, name) {
+  const { count } = await db.menuTemplate.updateMany({ where: { id, shop }, data: { name } });
+  return count > 0;
+}
+
+export async function deleteMenuTemplate(id, shop) {
+  const { count } = await db.menuTemplate.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
@@ -0,0 +1,203 @@
+// app/resource-remap.server.js
+// Exports record the handle of every linked resource so an import into another
+// store can find the matching resource there instead of reusing foreign IDs.
+import { formatItemPath } from "./menu-validation";
+
+// Menu item types whose resourceId can be matched by handle
+export const HANDLE_RESOURCE_TYPES = ["PRODUCT", "COLLECTION", "PAGE", "BLOG", "ARTICLE"];
+
+// Plain link used when an item can neither be remapped nor fall back to its URL
+const UNMATCHED_ITEM_URL = "#";
+
+// Aliased lookups per query, keeps each request well under the query cost limit
+const LOOKUP_BATCH_SIZE = 50;
+
+const GET_RESOURCE_HANDLES_QUERY = `
+  query getResourceHandles($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      id
+      ... on Product { handle }
+      ... on Collection { handle }
+      ... on Page { handle }
+      ... on Blog { handle }
+      ... on Article { handle blog { handle } }
+    }
+  }
+`;
+
+function collectResourceIds(items, ids = new Set()) {
+  for (const item of items || []) {
+    if (item.resourceId) ids.add(item.resourceId);
+    collectResourceIds(item.items, ids);
+  }
+  return ids;
+}
+
+export function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+// Returns a Map of resource GID -> handle for every ID that still exists.
+// Article handles are stored as "blog-handle/article-handle" since article
+// handles are only unique within their blog.
+async function fetchHandlesById(admin, ids) {
+  const handles = new Map();
+  for (const batch of chunk(ids, LOOKUP_BATCH_SIZE)) {
+    const response = await admin.graphql(GET_RESOURCE_HANDLES_QUERY, { variables: { ids: batch } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(`Failed to look up linked resources: ${responseJson.errors.map((e) => e.message).join(", ")}`);
+    }
+    for (const node of responseJson.data?.nodes || []) {
+      if (!node) continue;
+      const handle = node.blog ? `${node.blog.handle}/${node.handle}` : node.handle;
+      handles.set(node.id, handle || null);
+    }
+  }
+  return handles;
+}
+
+// Adds `resourceHandle` to every exported item that links to a resource
+export async function attachResourceHandles(admin, items) {
+  const ids = [...collectResourceIds(items)];
+  if (ids.length === 0) return items;
+  const handles = await fetchHandlesById(admin, ids);
+  const attach = (list) => (list || []).map((item) => {
+    const newItem = { ...item };
+    if (item.resourceId && handles.get(item.resourceId)) {
+      newItem.resourceHandle = handles.get(item.resourceId);
+    }
+    if (item.items?.length > 0) newItem.items = attach(item.items);
+    return newItem;
+  });
+  return attach(items);
+}
+
+// Builds one aliased lookup field per (type, handle) pair
+function buildHandleLookup(type, handle, index) {
+  const variable = `$h${index}`;
+  switch (type) {
+    case "PRODUCT":
+      return { field: `r${index}: productByIdentifier(identifier: { handle: ${variable} }) { id }`, value: handle };
+    case "COLLECTION":
+      return { field: `r${index}: collectionByIdentifier(identifier: { handle: ${variable} }) { id }`, value: handle };
+    case "PAGE":
+      return { field: `r${index}: pages(first: 1, query: ${variable}) { nodes { id handle } }`, value: `handle:${handle}` };
+    case "BLOG":
+      return { field: `r${index}: blogs(first: 1, query: ${variable}) { nodes { id handle } }`, value: `handle:${handle}` };
+    case "ARTICLE": {
+      const articleHandle = handle.split("/").pop();
+      return { field: `r${index}: articles(first: 10, query: ${variable}) { nodes { id handle blog { handle } } }`, value: `handle:${articleHandle}` };
+    }
+    default:
+      return null;
+  }
+}
+
+// Picks the matching GID out of one aliased lookup result
+function pickLookupResult(type, handle, result) {
+  if (!result) return null;
+  if (type === "PRODUCT" || type === "COLLECTION") return result.id || null;
+  const nodes = result.nodes || [];
+  if (type === "ARTICLE") {
+    const [blogHandle, articleHandle] = handle.includes("/") ? handle.split("/") : [null, handle];
+    return nodes.find((node) => node.handle === articleHandle && (!blogHandle || node.blog?.handle === blogHandle))?.id || null;
+  }
+  return nodes.find((node) => node.handle === handle)?.id || null;
+}
+
+// Resolves "TYPE:handle" keys to GIDs in the current store
+async function resolveHandles(admin, keys) {
+  const resolved = new Map();
+  for (const batch of chunk(keys, LOOKUP_BATCH_SIZE)) {
+    const lookups = batch.map((key, index) => {
+      const [type, ...rest] = key.split(":");
+      return { key, type, handle: rest.join(":"), lookup: buildHandleLookup(type, rest.join(":"), index) };
+    }).filter((entry) => entry.lookup);
+    if (lookups.length === 0) continue;
+
+    const query = `
+      query resolveResourceHandles(${lookups.map((_, index) => `$h${index}: String!`).join(", ")}) {
+        ${lookups.map((entry) => entry.lookup.field).join("\n        ")}
+      }
+    `;
+    const variables = Object.fromEntries(lookups.map((entry, index) => [`h${index}`, entry.lookup.value]));
+    const response = await admin.graphql(query, { variables });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(`Failed to resolve linked resources: ${responseJson.errors.map((e) => e.message).join(", ")}`);
+    }
+    lookups.forEach((entry, index) => {
+      resolved.set(entry.key, pickLookupResult(entry.type, entry.handle, responseJson.data?.[`r${index}`]));
+    });
+  }
+  return resolved;
+}
+
+// Looks up one resource by handle, e.g. when relinking a single menu item
+export async function resolveResourceHandle(admin, type, handle) {
+  if (!HANDLE_RESOURCE_TYPES.includes(type) || !handle) return null;
+  const key = `${type}:${handle}`;
+  const resolved = await resolveHandles(admin, [key]);
+  return resolved.get(key) || null;
+}
+
+function collectHandleKeys(items, keys = new Set()) {
+  for (const item of items || []) {
+    if (item.resourceHandle && HANDLE_RESOURCE_TYPES.includes(item.type)) keys.add(`${item.type}:${item.resourceHandle}`);
+    collectHandleKeys(item.items, keys);
+  }
+  return keys;
+}
+
+function collectUnhandledResourceIds(items, ids = new Set()) {
+  for (const item of items || []) {
+    if (item.resourceId && !(item.resourceHandle && HANDLE_RESOURCE_TYPES.includes(item.type))) ids.add(item.resourceId);
+    collectUnhandledResourceIds(item.items, ids);
+  }
+  return ids;
+}
+
+// Rewrites the resourceId of every imported item so it points at this store.
+// Items with a recorded handle are matched by handle; items without one keep
+// their resourceId only if it exists here. Anything that cannot be matched
+// falls back to its URL, or to a placeholder link when it has none.
+// Returns the rewritten items and a report of what happened to each link.
+export async function remapMenuResources(admin, items) {
+  const report = { remapped: [], kept: [], fallback: [], unmatched: [] };
+  const resolvedHandles = await resolveHandles(admin, [...collectHandleKeys(items)]);
+  const existingIds = await fetchHandlesById(admin, [...collectUnhandledResourceIds(items)]);
+
+  const remap = (list, path = []) => (list || []).map((item, index) => {
+    const itemPath = [...path, index];
+    const { resourceHandle, ...newItem } = item;
+    if (item.items?.length > 0) newItem.items = remap(item.items, itemPath);
+    if (!item.resourceId && !resourceHandle) return newItem;
+
+    const entry = { path: itemPath, location: formatItemPath(itemPath), title: item.title, type: item.type, handle: resourceHandle || null };
+    const targetId = resourceHandle && HANDLE_RESOURCE_TYPES.includes(item.type)
+      ? resolvedHandles.get(`${item.type}:${resourceHandle}`)
+      : (existingIds.has(item.resourceId) ? item.resourceId : null);
+
+    if (targetId) {
+      newItem.resourceId = targetId;
+      (targetId === item.resourceId ? report.kept : report.remapped).push({ ...entry, from: item.resourceId || null, to: targetId });
+      return newItem;
+    }
+
+    delete newItem.resourceId;
+    newItem.type = "HTTP";
+    if (item.url) {
+      newItem.url = item.url;
+      report.fallback.push({ ...entry, url: item.url });
+    } else {
+      newItem.url = UNMATCHED_ITEM_URL;
+      report.unmatched.push(entry);
+    }
+    return newItem;
+  });
+
+  return { items: remap(items), report };
+}
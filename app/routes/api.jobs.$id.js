@@ -0,0 +1,14 @@
+// app/routes/api.jobs.$id.js
+// GET /api/jobs/:id: progress of a job started through the API, e.g. an import.
+import { apiErrorResponse, authenticateApiRequest } from "../api-auth.server";
+import { getMenuJob } from "../models/MenuJob.server";
+import { toJobStatus } from "../menu-jobs.server";
+
+export const loader = async ({ request, params }) => {
+  const { shop } = await authenticateApiRequest(request);
+  const job = await getMenuJob(params.id, shop);
+  if (!job) {
+    return apiErrorResponse(404, "Job not found.");
+  }
+  return Response.json({ job: toJobStatus(job) });
+};
@@ -0,0 +1,41 @@
+// app/routes/api.menus.$handle.export.js
+// GET /api/menus/:handle/export: the menu as a versioned export document, the same
+// one the admin's JSON export downloads. It can be sent back to /api/menus/import.
+import { apiVersion } from "../shopify.server";
+import { apiErrorResponse, authenticateApiRequest } from "../api-auth.server";
+import { findMenuByHandle } from "../menus.server";
+import { buildMenuExport } from "../menu-export.server";
+import { buildExportDocument } from "../menu-export-schema";
+import { recordAuditEntry } from "../audit-log.server";
+
+export const loader = async ({ request, params }) => {
+  const { admin, shop, apiToken } = await authenticateApiRequest(request);
+  try {
+    const { menu, errors } = await findMenuByHandle(admin, params.handle);
+    if (errors) {
+      return apiErrorResponse(502, errors);
+    }
+    if (!menu) {
+      return apiErrorResponse(404, `No menu has the handle "${params.handle}".`);
+    }
+
+    const result = await buildMenuExport(admin, menu.id);
+    const userErrors = result.error ? [{ message: typeof result.details === "string" ? `${result.error}: ${result.details}` : result.error }] : null;
+    await recordAuditEntry({
+      shop,
+      source: "api",
+      action: "exportMenu",
+      sourceMenuId: menu.id,
+      success: !result.error,
+      userErrors,
+      message: `With API token "${apiToken.name}".`,
+    });
+    if (result.error) {
+      return apiErrorResponse(result.status, userErrors);
+    }
+    return Response.json(buildExportDocument({ shop, apiVersion, ...result.payload }));
+  } catch (error) {
+    console.error(`API: error exporting menu ${params.handle}:`, error);
+    return apiErrorResponse(500, error.message || "An unexpected error occurred.");
+  }
+};
@@ -0,0 +1,18 @@
+// app/routes/api.menus._index.js
+// GET /api/menus: every menu of the shop the API token belongs to.
+import { apiErrorResponse, authenticateApiRequest } from "../api-auth.server";
+import { fetchAllMenus } from "../menus.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticateApiRequest(request);
+  try {
+    const { menus, errors } = await fetchAllMenus(admin);
+    if (errors) {
+      return apiErrorResponse(502, errors);
+    }
+    return Response.json({ menus: menus.map(({ id, handle, title }) => ({ id, handle, title })) });
+  } catch (error) {
+    console.error("API: error listing menus:", error);
+    return apiErrorResponse(500, error.message || "An unexpected error occurred.");
+  }
+};
@@ -0,0 +1,95 @@
+// app/routes/api.menus.import.js
+// POST /api/menus/import: imports a menu export (JSON, as returned by the export
+// endpoint) or a CSV file sent as the request body. The menu with the `handle`
+// query parameter, or else the export's original handle, is updated with `mode`
+// "replace" (the default) or "merge". When no menu has that handle, one is
+// created, titled `title` or the export's original title.
+//
+// The import runs as a background job; the response is 202 with the job, which
+// can be polled at /api/jobs/:id.
+import { apiErrorResponse, authenticateApiRequest } from "../api-auth.server";
+import { findMenuByHandle } from "../menus.server";
+import { readMenuFile } from "../menu-file.server";
+import { resolveMenuHandle } from "../menu-handle.server";
+import { formatItemPath, validateMenuItems } from "../menu-validation";
+import { enqueueMenuJob, importMenuJobSteps, toJobStatus } from "../menu-jobs.server";
+
+const IMPORT_MODES = ["replace", "merge"];
+// Same limit as file uploads in the app
+const MAX_BODY_BYTES = 5_000_000;
+
+// Reads the body as text, or returns null once it grows past MAX_BODY_BYTES.
+// Content-Length can be missing or wrong, so the streamed size is counted too.
+async function readLimitedBody(request) {
+  if (Number(request.headers.get("Content-Length")) > MAX_BODY_BYTES) return null;
+  if (!request.body) return "";
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request.body) {
+    size += chunk.byteLength;
+    if (size > MAX_BODY_BYTES) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    return apiErrorResponse(405, "Send the menu with POST.");
+  }
+  const { admin, shop } = await authenticateApiRequest(request);
+  const url = new URL(request.url);
+  const mode = url.searchParams.get("mode") || "replace";
+  if (!IMPORT_MODES.includes(mode)) {
+    return apiErrorResponse(400, [{ field: ["mode"], message: `Mode must be one of ${IMPORT_MODES.join(", ")}.` }]);
+  }
+
+  try {
+    // readMenuFile tells CSV from JSON by file name and type, so wrap the body as a file
+    const isCsv = (request.headers.get("Content-Type") || "").includes("text/csv");
+    const body = await readLimitedBody(request);
+    if (body === null) {
+      return apiErrorResponse(413, `The request body can be at most ${MAX_BODY_BYTES / 1_000_000} MB.`);
+    }
+    const file = new File([body], isCsv ? "menu.csv" : "menu.json", { type: isCsv ? "text/csv" : "application/json" });
+    const { items, errors: fileErrors, document } = await readMenuFile(file);
+    if (fileErrors) {
+      return apiErrorResponse(422, fileErrors);
+    }
+    const problems = validateMenuItems(items);
+    if (problems.length > 0) {
+      return apiErrorResponse(422, problems.map((problem) => ({ field: ["file"], message: `${formatItemPath(problem.path)}: ${problem.message}` })));
+    }
+
+    const handle = url.searchParams.get("handle")?.trim() || document?.originalHandle;
+    if (!handle) {
+      return apiErrorResponse(400, [{ field: ["handle"], message: "Pass the handle of the menu to import into." }]);
+    }
+    const { menu: targetMenu, errors: menuErrors } = await findMenuByHandle(admin, handle);
+    if (menuErrors) {
+      return apiErrorResponse(502, menuErrors);
+    }
+    const title = url.searchParams.get("title")?.trim() || document?.originalTitle;
+    if (!targetMenu) {
+      if (!title) {
+        return apiErrorResponse(400, [{ field: ["title"], message: `No menu has the handle "${handle}". Pass a title to create it.` }]);
+      }
+      const { errors: handleErrors } = await resolveMenuHandle(admin, { handle, title });
+      if (handleErrors) {
+        return apiErrorResponse(422, handleErrors);
+      }
+    }
+
+    const job = await enqueueMenuJob({
+      shop,
+      source: "api",
+      type: "importMenu",
+      input: { items, targetMenuId: targetMenu?.id || null, mode, title, handle: targetMenu ? null : handle },
+      steps: importMenuJobSteps({ intoExisting: Boolean(targetMenu), title }),
+    });
+    return Response.json({ job: toJobStatus(job) }, { status: 202, headers: { Location: `/api/jobs/${job.id}` } });
+  } catch (error) {
+    console.error("API: error importing menu:", error);
+    return apiErrorResponse(500, error.message || "An unexpected error occurred.");
+  }
+};
@@ -1,13 +1,17 @@
 // app/routes/app._index.jsx
 
-import { Form as RemixForm } from "@remix-run/react";
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import { unstable_createMemoryUploadHandler, unstable_parseMultipartFormData } from "@remix-run/node";
 import {
+  Form as RemixForm,
   useLoaderData,
   useActionData,
   useNavigation,
   useFetcher,
+  useNavigate,
+  useRevalidator,
+  useSearchParams,
+  useSubmit,
 } from "@remix-run/react";
 import {
   Page,
@@ -29,66 +33,39 @@ import {
   Thumbnail,
   Toast,
   Frame,
+  IndexTable,
+  InlineStack,
+  Pagination,
+  Link,
+  List,
+  Checkbox,
+  ChoiceList,
+  Badge,
+  ProgressBar,
+  useIndexResourceState,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
-import { authenticate } from "../shopify.server";
-
-// GraphQL Query to get Menu IDs and Titles
-const GET_MENUS_IDS_QUERY = `
-  query getMenusIds {
-    menus(first: 25) {
-      edges {
-        node {
-          id
-          title
-        }
-      }
-    }
-  }
-`;
-
-// GraphQL Mutation to create a Menu
-const CREATE_MENU_MUTATION = `
-  mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
-    menuCreate(title: $title, handle: $handle, items: $items) {
-      menu {
-        id
-        handle
-        title
-      }
-      userErrors {
-        code
-        field
-        message
-      }
-    }
-  }
-`;
-
-// Helper function to prepare menu items (used by Import and Duplicate)
-function prepareMenuItemsForCreate(items) {
-  if (!items || items.length === 0) return [];
-  return items.map((item) => {
-    const newItem = {
-      title: item.title,
-      url: item.url,
-      type: item.type,
-    };
-    if (item.resourceId) {
-      newItem.resourceId = item.resourceId;
-    }
-    if (item.items && item.items.length > 0) {
-      newItem.items = prepareMenuItemsForCreate(item.items);
-    }
-    return newItem;
-  });
-}
+import { authenticateAdmin } from "../admin-graphql.server";
+import { fetchAllMenus, fetchMenusPage, MENU_STRUCTURE_FILTERS } from "../menus.server";
+import { deleteMenuWithBackup } from "../menu-deletion.server";
+import { resolveMenuHandle } from "../menu-handle.server";
+import { checkMenuHandle, nextAvailableHandle, slugifyMenuHandle } from "../menu-handle";
+import { isProtectedMenu } from "../menu-deletion";
+import { responseOutcome, staffFromAuth, withAuditLog } from "../audit-log.server";
+import { enqueueMenuJob, importMenuJobSteps } from "../menu-jobs.server";
+import { isJobFinished, JOB_STATUS, JOB_STATUS_LABELS, JOB_TYPES, STEP_STATUS, STEP_STATUS_LABELS } from "../menu-jobs";
+import { menuItemsToCsv } from "../menu-csv";
+import { downloadFile } from "../download-file";
+import { readMenuFile } from "../menu-file.server";
+import { bundleFileName, isMenuBundle } from "../menu-bundle";
+import { migrateMenuExport } from "../menu-export-schema";
+import { countMenuItems, formatItemPath, getMenuDepth, validateMenuItems } from "../menu-validation";
 
 // Loader for the main page
 export const loader = async ({ request }) => {
   let adminInstance;
   try {
-    const authResult = await authenticate.admin(request);
+    const authResult = await authenticateAdmin(request);
     adminInstance = authResult.admin;
     if (!adminInstance || typeof adminInstance.graphql !== 'function') {
       console.error("Loader: Authentication successful, but admin instance or graphql method is missing.");
@@ -102,15 +79,29 @@ export const loader = async ({ request }) => {
     return Response.json({ menus: [], errors: [{ message: "Authentication failed or an unexpected error occurred." }], actionName: null }, { status: 500 });
   }
 
+  const url = new URL(request.url);
+  const search = url.searchParams.get("q") || "";
+  const structure = MENU_STRUCTURE_FILTERS[url.searchParams.get("structure")] ? url.searchParams.get("structure") : "all";
+  const after = url.searchParams.get("after");
+  const before = url.searchParams.get("before");
+
   try {
-    const response = await adminInstance.graphql(GET_MENUS_IDS_QUERY);
-    const responseJson = await response.json();
-    if (responseJson.errors) {
-      console.error("Loader: GraphQL Errors fetching menus:", responseJson.errors);
-      return Response.json({ menus: [], errors: responseJson.errors, actionName: null });
+    // The selects need every menu; the menu list below them is paged and searchable
+    const [allMenusResult, pageResult] = await Promise.all([
+      fetchAllMenus(adminInstance),
+      fetchMenusPage(adminInstance, { after, before, search, structure }),
+    ]);
+    const errors = allMenusResult.errors || pageResult.errors;
+    if (errors) {
+      console.error("Loader: GraphQL Errors fetching menus:", errors);
     }
-    const menus = responseJson.data?.menus?.edges.map(edge => edge.node) || [];
-    return Response.json({ menus, errors: null, actionName: null });
+    const menuList = {
+      menus: pageResult.menus,
+      pageInfo: pageResult.pageInfo,
+      search,
+      structure,
+    };
+    return Response.json({ menus: allMenusResult.menus, menuList, errors: errors || null, actionName: null });
   } catch (error) {
     console.error("Loader: Error fetching menus with admin instance:", error);
     if (error instanceof Response) {
@@ -120,10 +111,37 @@ export const loader = async ({ request }) => {
   }
 };
 
+// Maps the action's responses to audit log entries. Previews change nothing and are not logged.
+// Queued jobs are logged by the worker as their steps finish.
+function describeMenuOperation({ formData, body }) {
+  if (body.jobId) return null;
+  if (body.actionName === "duplicateMenu") {
+    return { action: "duplicateMenu", sourceMenuId: formData.get("originalMenuId"), ...responseOutcome(body) };
+  }
+  if (body.actionName === "importMenu") {
+    return { action: "importMenu", targetMenuId: formData.get("importTargetMenuId") || null, ...responseOutcome(body) };
+  }
+  if (body.actionName === "importBundle") {
+    return { action: "importBundle", ...responseOutcome(body) };
+  }
+  if (body.actionName === "deleteMenus") {
+    if (!body.results) return { action: "deleteMenu", ...responseOutcome(body) };
+    return body.results.map((result) => ({
+      action: "deleteMenu",
+      targetMenuId: result.id,
+      success: result.success,
+      userErrors: result.errors,
+      message: result.title ? `"${result.title}" (${result.handle})` : null,
+    }));
+  }
+  return null;
+}
+
 // Action function for form submissions
-export const action = async ({ request }) => {
-  const authResult = await authenticate.admin(request); // Get admin instance
-  const admin = authResult.admin; // Assuming authResult.admin
+const handleAction = async ({ request }) => {
+  const authResult = await authenticateAdmin(request);
+  const { admin } = authResult;
+  const shop = authResult.session?.shop;
   
   if (!admin || typeof admin.graphql !== 'function') {
       // Handle case where admin is not available after authentication attempt
@@ -146,117 +164,581 @@ export const action = async ({ request }) => {
   if (actionType === "duplicateMenu") {
     const originalMenuId = formData.get("originalMenuId");
     const newMenuTitle = formData.get("newMenuTitle")?.toString().trim();
-    const GET_MENU_DETAILS_QUERY_ACTION = `
-      query getMenu($id: ID!) {
-        menu(id: $id) {
-          items { title url type resourceId items { title url type resourceId items { title url type resourceId } } }
-        }
-      }
-    `; // Condensed for brevity, ensure all levels are there
+    const copyTranslations = formData.get("copyTranslations") === "true";
 
     if (!originalMenuId || !newMenuTitle) {
       return Response.json({ actionName: "duplicateMenu", success: false, errors: [{ field: ["form"], message: "Original menu and new title are required." }] });
     }
     try {
-      const menuDetailsResponse = await admin.graphql(GET_MENU_DETAILS_QUERY_ACTION, { variables: { id: originalMenuId } });
-      const menuDetailsJson = await menuDetailsResponse.json();
-      if (menuDetailsJson.errors || !menuDetailsJson.data?.menu) {
-        return Response.json({ actionName: "duplicateMenu", success: false, errors: menuDetailsJson.errors || [{ message: "Failed to fetch original menu details." }] });
-      }
-      const originalMenuData = menuDetailsJson.data.menu;
-      const preparedItems = prepareMenuItemsForCreate(originalMenuData.items);
-      const newMenuHandle = `${newMenuTitle.toLowerCase().replace(/\s+/g, "-").replace(/[^\w-]+/g, "")}-${Math.random().toString(36).substring(2, 8)}`;
-      const createResponse = await admin.graphql(CREATE_MENU_MUTATION, { variables: { title: newMenuTitle, handle: newMenuHandle, items: preparedItems } });
-      const createResponseJson = await createResponse.json();
-      if (createResponseJson.data?.menuCreate?.userErrors?.length) {
-        return Response.json({ actionName: "duplicateMenu", success: false, errors: createResponseJson.data.menuCreate.userErrors });
-      }
-      if (createResponseJson.errors || !createResponseJson.data?.menuCreate?.menu) {
-        return Response.json({ actionName: "duplicateMenu", success: false, errors: createResponseJson.errors || [{ message: "Failed to create new menu." }] });
+      // A requested handle is checked now so the form can point at it; otherwise the job picks one
+      const requestedHandle = formData.get("newMenuHandle")?.toString().trim() || null;
+      if (requestedHandle) {
+        const { errors: handleErrors } = await resolveMenuHandle(admin, { handle: requestedHandle, title: newMenuTitle, field: "newMenuHandle" });
+        if (handleErrors) {
+          return Response.json({ actionName: "duplicateMenu", success: false, errors: handleErrors });
+        }
       }
-      return Response.json({ actionName: "duplicateMenu", success: true, createdMenu: createResponseJson.data.menuCreate.menu, message: `Menu "${newMenuTitle}" duplicated successfully! New handle: ${newMenuHandle}` });
+      const job = await enqueueMenuJob({
+        shop,
+        staff: staffFromAuth(authResult),
+        type: "duplicateMenu",
+        input: { originalMenuId, title: newMenuTitle, handle: requestedHandle },
+        steps: [
+          { key: "create", label: `Create "${newMenuTitle}"` },
+          ...(copyTranslations ? [{ key: "translations", label: "Copy translations" }] : []),
+        ],
+      });
+      return Response.json({ actionName: "duplicateMenu", success: true, jobId: job.id });
     } catch (error) {
       console.error("Error in duplicateMenu action:", error);
+      if (error instanceof Response) throw error;
       return Response.json({ actionName: "duplicateMenu", success: false, errors: [{ message: error.message || "An unexpected error occurred." }] });
     }
   } else if (actionType === "importMenu") {
     const newMenuTitle = formData.get("newImportMenuTitle")?.toString().trim();
     const uploadedFile = formData.get("menuFile");
-    if (!newMenuTitle || !uploadedFile || typeof uploadedFile === 'string' || uploadedFile.size === 0) {
-      return Response.json({ actionName: "importMenu", success: false, errors: [{ field: ["form"], message: "New menu title and a valid JSON file are required." }] });
+    // An empty target creates a new menu; otherwise the file is written into that menu
+    const importTargetMenuId = formData.get("importTargetMenuId")?.toString() || "";
+    const importMode = formData.get("importMode") === "merge" ? "merge" : "replace";
+    if ((!importTargetMenuId && !newMenuTitle) || !uploadedFile || typeof uploadedFile === 'string' || uploadedFile.size === 0) {
+      return Response.json({ actionName: "importMenu", success: false, errors: [{ field: ["form"], message: importTargetMenuId ? "A valid JSON or CSV file is required." : "New menu title and a valid JSON or CSV file are required." }] });
     }
     try {
-      const fileContent = await uploadedFile.text();
-      let importedData;
-      try {
-        importedData = JSON.parse(fileContent);
-      } catch (e) {
-        return Response.json({ actionName: "importMenu", success: false, errors: [{ field: ["file"], message: "Invalid JSON file." }] });
-      }
-      const itemsToImport = importedData.items;
-      if (!Array.isArray(itemsToImport)) {
-        return Response.json({ actionName: "importMenu", success: false, errors: [{ field: ["file"], message: "Invalid JSON: 'items' array not found." }] });
+      const { items: itemsToImport, errors: fileErrors } = await readMenuFile(uploadedFile);
+      if (fileErrors) {
+        return Response.json({ actionName: "importMenu", success: false, errors: fileErrors });
       }
-      const preparedImportedItems = prepareMenuItemsForCreate(itemsToImport);
-      const newMenuHandle = `${newMenuTitle.toLowerCase().replace(/\s+/g, "-").replace(/[^\w-]+/g, "")}-${Math.random().toString(36).substring(2, 8)}`;
-      const createResponse = await admin.graphql(CREATE_MENU_MUTATION, { variables: { title: newMenuTitle, handle: newMenuHandle, items: preparedImportedItems } });
-      const createResponseJson = await createResponse.json();
-      if (createResponseJson.data?.menuCreate?.userErrors?.length) {
-        return Response.json({ actionName: "importMenu", success: false, errors: createResponseJson.data.menuCreate.userErrors });
+      // The preview runs the same checks, but the file is validated again in case it skipped the preview
+      const problems = validateMenuItems(itemsToImport);
+      if (problems.length > 0) {
+        return Response.json({ actionName: "importMenu", success: false, errors: problems.map((problem) => ({ field: ["file"], message: `${formatItemPath(problem.path)}: ${problem.message}` })) });
       }
-      if (createResponseJson.errors || !createResponseJson.data?.menuCreate?.menu) {
-        return Response.json({ actionName: "importMenu", success: false, errors: createResponseJson.errors || [{ message: "Failed to create menu from import." }] });
+      const requestedHandle = importTargetMenuId ? null : formData.get("newImportMenuHandle")?.toString().trim() || null;
+      if (requestedHandle) {
+        const { errors: handleErrors } = await resolveMenuHandle(admin, { handle: requestedHandle, title: newMenuTitle, field: "newImportMenuHandle" });
+        if (handleErrors) {
+          return Response.json({ actionName: "importMenu", success: false, errors: handleErrors });
+        }
       }
-      return Response.json({ actionName: "importMenu", success: true, createdMenu: createResponseJson.data.menuCreate.menu, message: `Menu "${newMenuTitle}" imported successfully!` });
+      const job = await enqueueMenuJob({
+        shop,
+        staff: staffFromAuth(authResult),
+        type: "importMenu",
+        input: { items: itemsToImport, targetMenuId: importTargetMenuId || null, mode: importMode, title: newMenuTitle, handle: requestedHandle },
+        steps: importMenuJobSteps({ intoExisting: Boolean(importTargetMenuId), title: newMenuTitle }),
+      });
+      return Response.json({ actionName: "importMenu", success: true, jobId: job.id });
     } catch (error) {
       console.error("Error in importMenu action:", error);
+      if (error instanceof Response) throw error;
       return Response.json({ actionName: "importMenu", success: false, errors: [{ message: error.message || "An unexpected error occurred during import." }] });
     }
+  } else if (actionType === "previewImport") {
+    // Dry run: parse and validate the file without writing anything
+    const uploadedFile = formData.get("menuFile");
+    if (!uploadedFile || typeof uploadedFile === 'string' || uploadedFile.size === 0) {
+      return Response.json({ actionName: "previewImport", success: false, errors: [{ field: ["file"], message: "A valid JSON or CSV file is required." }] });
+    }
+    try {
+      const { items, errors: fileErrors, document, migratedFrom } = await readMenuFile(uploadedFile);
+      if (fileErrors) {
+        return Response.json({ actionName: "previewImport", success: false, errors: fileErrors });
+      }
+      const problems = validateMenuItems(items).map((problem) => ({ ...problem, location: formatItemPath(problem.path) }));
+      return Response.json({
+        actionName: "previewImport",
+        success: true,
+        preview: { fileName: uploadedFile.name, items, problems, itemCount: countMenuItems(items), depth: getMenuDepth(items), migratedFrom, source: document?.source || null },
+      });
+    } catch (error) {
+      console.error("Error in previewImport action:", error);
+      return Response.json({ actionName: "previewImport", success: false, errors: [{ message: error.message || "An unexpected error occurred while reading the file." }] });
+    }
+  } else if (actionType === "importBundle") {
+    const uploadedFile = formData.get("menuFile");
+    if (!uploadedFile || typeof uploadedFile === 'string' || uploadedFile.size === 0) {
+      return Response.json({ actionName: "importBundle", success: false, errors: [{ field: ["file"], message: "A menu bundle file is required." }] });
+    }
+    let bundle;
+    let selections;
+    try {
+      bundle = JSON.parse(await uploadedFile.text());
+      selections = JSON.parse(formData.get("bundleSelections")?.toString() || "[]");
+    } catch (e) {
+      return Response.json({ actionName: "importBundle", success: false, errors: [{ field: ["file"], message: "Invalid JSON file." }] });
+    }
+    const { document: migratedBundle, error: migrationError } = migrateMenuExport(bundle);
+    if (migrationError) {
+      return Response.json({ actionName: "importBundle", success: false, errors: [{ field: ["file"], message: migrationError }] });
+    }
+    bundle = migratedBundle;
+    if (!isMenuBundle(bundle)) {
+      return Response.json({ actionName: "importBundle", success: false, errors: [{ field: ["file"], message: "The file is not a menu bundle." }] });
+    }
+    if (!Array.isArray(selections) || selections.length === 0) {
+      return Response.json({ actionName: "importBundle", success: false, errors: [{ field: ["form"], message: "Select at least one menu to import." }] });
+    }
+
+    // Each selected menu becomes one step of the job; problems with a menu fail only its step
+    const bundledMenus = selections.map((selection) => {
+      const bundledMenu = bundle.menus[selection.index];
+      const keepOriginal = selection.mode !== "rename";
+      return {
+        index: selection.index,
+        originalHandle: bundledMenu?.originalHandle || null,
+        title: keepOriginal ? bundledMenu?.originalTitle : selection.title?.toString().trim(),
+        keepOriginal,
+        items: bundledMenu?.items || null,
+      };
+    });
+    // Menus keeping their original handle claim it up front, so a renamed menu
+    // imported before them cannot take it
+    const reservedHandles = bundledMenus.filter((bundledMenu) => bundledMenu.keepOriginal && bundledMenu.originalHandle).map((bundledMenu) => bundledMenu.originalHandle);
+    try {
+      const job = await enqueueMenuJob({
+        shop,
+        staff: staffFromAuth(authResult),
+        type: "importBundle",
+        input: { menus: bundledMenus, reservedHandles },
+        steps: bundledMenus.map((bundledMenu, position) => ({
+          key: String(position),
+          label: `Import "${bundledMenu.title || bundledMenu.originalHandle || `menu ${bundledMenu.index + 1}`}"`,
+        })),
+      });
+      return Response.json({ actionName: "importBundle", success: true, jobId: job.id });
+    } catch (error) {
+      console.error("Error in importBundle action:", error);
+      return Response.json({ actionName: "importBundle", success: false, errors: [{ message: error.message || "An unexpected error occurred during import." }] });
+    }
+  } else if (actionType === "deleteMenus") {
+    let menuIds;
+    try {
+      menuIds = JSON.parse(formData.get("menuIds")?.toString() || "[]");
+    } catch (e) {
+      menuIds = null;
+    }
+    if (!Array.isArray(menuIds) || menuIds.length === 0) {
+      return Response.json({ actionName: "deleteMenus", success: false, errors: [{ field: ["form"], message: "Select at least one menu to delete." }] });
+    }
+    // Each menu is backed up and deleted on its own; one failure does not stop the rest
+    const results = [];
+    for (const menuId of menuIds) {
+      try {
+        results.push(await deleteMenuWithBackup(admin, shop, menuId));
+      } catch (error) {
+        console.error(`Error deleting menu ${menuId}:`, error);
+        if (error instanceof Response) throw error;
+        results.push({ id: menuId, success: false, errors: [{ message: error.message || "An unexpected error occurred while deleting." }] });
+      }
+    }
+    const deletedCount = results.filter((result) => result.success).length;
+    return Response.json({ actionName: "deleteMenus", success: deletedCount === results.length, results, message: `Deleted ${deletedCount} of ${results.length} menus. Backups can be restored from Menu history.` });
   }
   return Response.json({ success: false, errors: [{ message: "Invalid action." }] });
 };
 
+export const action = withAuditLog(handleAction, describeMenuOperation);
+
+const EXPORT_FORMAT_OPTIONS = [
+  { label: "JSON (nested)", value: "json" },
+  { label: "CSV (one row per item)", value: "csv" },
+];
+
+const STRUCTURE_FILTER_OPTIONS = [
+  { label: "All menus", value: "all" },
+  { label: "Nested menus", value: "nested" },
+  { label: "Flat menus", value: "flat" },
+  { label: "Empty menus", value: "empty" },
+];
+
+// Results of a bulk delete, one line per selected menu
+function DeleteReport({ actionData }) {
+  if (actionData?.actionName !== "deleteMenus") return null;
+  const failed = actionData.results?.filter((result) => !result.success) || [];
+  return (
+    <Banner title={actionData.results ? actionData.message : "Could not delete menus"} tone={actionData.success ? "success" : "warning"}>
+      <BlockStack gap="100">
+        {(actionData.results ? [] : actionData.errors || []).map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}
+        {failed.map((result) => (
+          <Text as="p" key={result.id}>{`${result.title || result.id}: ${result.errors.map((error) => error.message).join(" ")}`}</Text>
+        ))}
+      </BlockStack>
+    </Banner>
+  );
+}
+
+// Searchable, paged list of the shop's menus. Selected menus can be deleted after a confirmation step.
+function MenuList({ menuList, onOpenMenu }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [search, setSearch] = useState(menuList?.search || "");
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const navigation = useNavigation();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const isPaging = navigation.state === "loading" && navigation.location?.pathname === "/app";
+  const isDeleting = navigation.state === "submitting" && navigation.formData?.get("_action") === "deleteMenus";
+  const menus = menuList?.menus || [];
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } = useIndexResourceState(menus, {
+    resourceFilter: (menu) => !isProtectedMenu(menu),
+  });
+
+  // Selection only applies to the page it was made on
+  useEffect(() => {
+    clearSelection();
+    setIsConfirmingDelete(false);
+  }, [menuList, clearSelection]);
+
+  const menusToDelete = menus.filter((menu) => selectedResources.includes(menu.id) && !isProtectedMenu(menu));
+  const handleConfirmDelete = useCallback(() => {
+    submit({ _action: "deleteMenus", menuIds: JSON.stringify(menusToDelete.map((menu) => menu.id)) }, { method: "post" });
+  }, [menusToDelete, submit]);
+
+  const updateParams = useCallback((changes) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    Object.entries(changes).forEach(([key, value]) => (value ? params.set(key, value) : params.delete(key)));
+    setSearchParams(params);
+  }, [searchParams, setSearchParams]);
+
+  const handleSearchSubmit = useCallback(() => updateParams({ q: search.trim() }), [search, updateParams]);
+  const handleStructureChange = useCallback((value) => updateParams({ structure: value === "all" ? "" : value }), [updateParams]);
+
+  if (!menuList) return null;
+  const { pageInfo, structure } = menuList;
+
+  const rowMarkup = menus.map((menu, index) => (
+    <IndexTable.Row id={menu.id} key={menu.id} position={index} selected={selectedResources.includes(menu.id)} disabled={isProtectedMenu(menu)}>
+      <IndexTable.Cell>
+        <InlineStack gap="200" blockAlign="center">
+          <Link removeUnderline onClick={() => onOpenMenu(menu.id)}>{menu.title}</Link>
+          {isProtectedMenu(menu) && <Badge>Default</Badge>}
+        </InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell><Text as="span" tone="subdued">{menu.handle}</Text></IndexTable.Cell>
+      <IndexTable.Cell><Text as="span" alignment="end" numeric>{menu.itemCount}</Text></IndexTable.Cell>
+      <IndexTable.Cell><Text as="span" alignment="end" numeric>{menu.maxDepth}</Text></IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">Menus</Text>
+        <InlineStack gap="200" blockAlign="end" wrap={false}>
+          <div style={{ flexGrow: 1 }} onKeyDown={(event) => event.key === "Enter" && handleSearchSubmit()}>
+            <TextField label="Search by title" value={search} onChange={setSearch} autoComplete="off" clearButton onClearButtonClick={() => { setSearch(""); updateParams({ q: "" }); }} />
+          </div>
+          <Button onClick={handleSearchSubmit} loading={isPaging}>Search</Button>
+          <Select label="Structure" options={STRUCTURE_FILTER_OPTIONS} value={structure} onChange={handleStructureChange} />
+        </InlineStack>
+        <DeleteReport actionData={actionData} />
+        {isConfirmingDelete && menusToDelete.length > 0 && (
+          <Banner title={`Delete ${menusToDelete.length} menu(s)?`} tone="critical">
+            <BlockStack gap="200">
+              <Text as="p">A snapshot of each menu is saved first, so it can be restored from Menu history. Links to these menus in your theme will stop working.</Text>
+              <List type="bullet">
+                {menusToDelete.map((menu) => (<List.Item key={menu.id}>{`${menu.title} (${menu.handle})`}</List.Item>))}
+              </List>
+              <InlineStack gap="200">
+                <Button variant="primary" tone="critical" onClick={handleConfirmDelete} loading={isDeleting}>Delete menus</Button>
+                <Button onClick={() => setIsConfirmingDelete(false)} disabled={isDeleting}>Cancel</Button>
+              </InlineStack>
+            </BlockStack>
+          </Banner>
+        )}
+        <IndexTable
+          resourceName={{ singular: "menu", plural: "menus" }}
+          itemCount={menus.length}
+          selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+          onSelectionChange={handleSelectionChange}
+          promotedBulkActions={[{ content: "Delete menus", destructive: true, onAction: () => setIsConfirmingDelete(true) }]}
+          loading={isPaging}
+          headings={[{ title: "Title" }, { title: "Handle" }, { title: "Items", alignment: "end" }, { title: "Max depth", alignment: "end" }]}
+        >
+          {rowMarkup}
+        </IndexTable>
+        {pageInfo && (
+          <InlineStack align="center">
+            <Pagination
+              hasPrevious={pageInfo.hasPreviousPage}
+              onPrevious={() => { const params = new URLSearchParams(searchParams); params.delete("after"); params.set("before", pageInfo.startCursor); setSearchParams(params); }}
+              hasNext={pageInfo.hasNextPage}
+              onNext={() => { const params = new URLSearchParams(searchParams); params.delete("before"); params.set("after", pageInfo.endCursor); setSearchParams(params); }}
+            />
+          </InlineStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+// Optional handle for a new menu, checked as it is typed against the shop's menus.
+// Left empty, the server uses the title's slug with a numeric suffix if it is taken.
+function MenuHandleField({ name, value, onChange, title, takenHandles, serverError, disabled }) {
+  const trimmed = value.trim();
+  const problem = trimmed ? checkMenuHandle(trimmed, takenHandles) : null;
+  const helpText = trimmed
+    ? (!problem && `"${trimmed}" is available.`)
+    : title.trim() && `Leave empty to use "${nextAvailableHandle(slugifyMenuHandle(title), takenHandles)}".`;
+  return (
+    <TextField label="Handle (optional)" name={name} value={value} onChange={onChange} autoComplete="off" placeholder="e.g. summer-sale" helpText={helpText || undefined} error={problem || serverError} disabled={disabled} />
+  );
+}
+
+// Report of how linked resources in an imported file were matched to this store
+function RemapReport({ report }) {
+  if (!report) return null;
+  const { remapped, kept, fallback, unmatched } = report;
+  if (remapped.length + kept.length + fallback.length + unmatched.length === 0) return null;
+  const section = (title, entries, describe) => entries.length > 0 && (
+    <BlockStack gap="100">
+      <Text as="h3" variant="headingSm">{title} ({entries.length})</Text>
+      <List type="bullet">
+        {entries.map((entry) => (<List.Item key={entry.location}>{entry.location} "{entry.title}" — {describe(entry)}</List.Item>))}
+      </List>
+    </BlockStack>
+  );
+  return (
+    <Banner title="Linked resources" tone={unmatched.length > 0 ? "warning" : "info"}>
+      <BlockStack gap="200">
+        {kept.length > 0 && <Text as="p">{kept.length} linked resource(s) already matched this store.</Text>}
+        {section("Remapped", remapped, (entry) => `${entry.type.toLowerCase()} "${entry.handle}" found in this store`)}
+        {section("Converted to plain URL", fallback, (entry) => `no match for ${entry.handle ? `"${entry.handle}"` : "the linked resource"}, now links to ${entry.url}`)}
+        {section("Not matched", unmatched, (entry) => `no match for ${entry.handle ? `"${entry.handle}"` : "the linked resource"} and no URL to fall back on, now links to #`)}
+      </BlockStack>
+    </Banner>
+  );
+}
+
+// Lets the user pick which menus of an uploaded bundle to import, and how to name them
+function BundleMenuPicker({ menus, selections, onChange, disabled }) {
+  const update = (index, changes) => onChange(selections.map((selection) => (selection.index === index ? { ...selection, ...changes } : selection)));
+  return (
+    <BlockStack gap="300">
+      <Text as="h3" variant="headingSm">Menus in this bundle</Text>
+      {menus.map((menu) => {
+        const selection = selections.find((entry) => entry.index === menu.index);
+        return (
+          <Box key={menu.index} padding="200" borderWidth="025" borderColor="border" borderRadius="200">
+            <BlockStack gap="200">
+              <Checkbox label={`${menu.originalTitle} (${menu.originalHandle})`} helpText={`${menu.itemCount} items`} checked={selection.include} onChange={(checked) => update(menu.index, { include: checked })} disabled={disabled} />
+              {selection.include && (
+                <ChoiceList
+                  title="Name"
+                  titleHidden
+                  choices={[
+                    { label: "Keep original handle and title", value: "keep" },
+                    {
+                      label: "Rename",
+                      value: "rename",
+                      renderChildren: (isSelected) => isSelected && (
+                        <TextField label="New title" labelHidden value={selection.title} onChange={(value) => update(menu.index, { title: value })} autoComplete="off" disabled={disabled} />
+                      ),
+                    },
+                  ]}
+                  selected={[selection.mode]}
+                  onChange={([mode]) => update(menu.index, { mode })}
+                  disabled={disabled}
+                />
+              )}
+            </BlockStack>
+          </Box>
+        );
+      })}
+    </BlockStack>
+  );
+}
+
+// Parsed tree of a file awaiting import, with any validation problems marked
+function PreviewTree({ items, problemsByPath, path = [] }) {
+  return (
+    <List type="bullet">
+      {items.map((item, index) => {
+        const itemPath = [...path, index];
+        const itemProblems = problemsByPath[itemPath.join(".")] || [];
+        return (
+          <List.Item key={index}>
+            <Text as="span" fontWeight="semibold" tone={itemProblems.length > 0 ? "critical" : undefined}>{item?.title || "(untitled)"}</Text>{" "}
+            <Text as="span" variant="bodySm" tone="subdued">{item?.type} {item?.url || item?.resourceHandle || ""}</Text>
+            {itemProblems.map((problem, problemIndex) => (<InlineError key={problemIndex} message={problem.message} fieldID={`preview-${itemPath.join("-")}-${problemIndex}`} />))}
+            {Array.isArray(item?.items) && item.items.length > 0 && <PreviewTree items={item.items} problemsByPath={problemsByPath} path={itemPath} />}
+          </List.Item>
+        );
+      })}
+    </List>
+  );
+}
+
+function ImportPreview({ preview }) {
+  const problemsByPath = preview.problems.reduce((acc, problem) => {
+    (acc[problem.path.join(".")] = acc[problem.path.join(".")] || []).push(problem);
+    return acc;
+  }, {});
+  return (
+    <BlockStack gap="200">
+      <Text as="h3" variant="headingSm">Preview of {preview.fileName}: {preview.itemCount} items, {preview.depth} level(s) deep</Text>
+      {preview.source?.shop && (<Text as="p" tone="subdued">Exported from {preview.source.shop} (Admin API {preview.source.apiVersion}).</Text>)}
+      {preview.migratedFrom && (<Banner tone="info"><p>This file uses export format version {preview.migratedFrom} and was upgraded to the current format.</p></Banner>)}
+      {preview.problems.length > 0 ? (
+        <Banner title={`${preview.problems.length} problem(s) must be fixed before importing`} tone="critical">
+          <List type="bullet">
+            {preview.problems.map((problem, index) => (<List.Item key={index}>{problem.location}: {problem.message}</List.Item>))}
+          </List>
+        </Banner>
+      ) : (
+        <Banner title="No problems found" tone="success"><p>Check the items below, then confirm to import.</p></Banner>
+      )}
+      <Box padding="200" borderWidth="025" borderColor="border" borderRadius="200">
+        {preview.items.length > 0 ? <PreviewTree items={preview.items} problemsByPath={problemsByPath} /> : <Text as="p" tone="subdued">The file has no items.</Text>}
+      </Box>
+    </BlockStack>
+  );
+}
+
+const JOB_POLL_INTERVAL_MS = 1500;
+
+const JOB_STATUS_TONES = { queued: "info", running: "attention", completed: "success", failed: "critical" };
+const STEP_STATUS_TONES = { pending: undefined, running: "attention", done: "success", failed: "critical" };
+
+// Progress of a background duplicate or import. Polls the job until it finishes,
+// then reloads the page data so the new menus show up.
+function JobProgress({ jobId }) {
+  const jobFetcher = useFetcher();
+  const retryFetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const wasActive = useRef(false);
+  const { load } = jobFetcher;
+  const job = jobFetcher.data?.job;
+
+  useEffect(() => {
+    load(`/app/jobs/${jobId}`);
+  }, [jobId, load]);
+
+  // Fetcher data is also reloaded after each submission, which resumes polling after a retry
+  useEffect(() => {
+    if (!job) return undefined;
+    if (isJobFinished(job)) {
+      if (wasActive.current) revalidate();
+      wasActive.current = false;
+      return undefined;
+    }
+    wasActive.current = true;
+    const timer = setTimeout(() => load(`/app/jobs/${jobId}`), JOB_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [job, jobId, load, revalidate]);
+
+  const handleRetry = useCallback(() => {
+    retryFetcher.submit({}, { method: "post", action: `/app/jobs/${jobId}` });
+  }, [retryFetcher, jobId]);
+
+  if (!job) {
+    return jobFetcher.data?.errors
+      ? (<Banner title="Job not found" tone="critical"><p>{jobFetcher.data.errors[0].message}</p></Banner>)
+      : (<InlineStack gap="200" blockAlign="center"><Spinner accessibilityLabel="Loading job" size="small" /><Text as="span">Starting…</Text></InlineStack>);
+  }
+
+  const doneCount = job.steps.filter((step) => step.status === STEP_STATUS.done).length;
+  const finishedCount = job.steps.filter((step) => step.status === STEP_STATUS.done || step.status === STEP_STATUS.failed).length;
+  const progress = job.steps.length > 0 ? Math.round((finishedCount / job.steps.length) * 100) : 0;
+  return (
+    <BlockStack gap="300">
+      <InlineStack gap="200" blockAlign="center">
+        <Text as="h3" variant="headingSm">{JOB_TYPES[job.type] || job.type}</Text>
+        <Badge tone={JOB_STATUS_TONES[job.status]}>{JOB_STATUS_LABELS[job.status]}</Badge>
+      </InlineStack>
+      <ProgressBar progress={job.status === JOB_STATUS.completed ? 100 : progress} size="small" tone={job.status === JOB_STATUS.failed ? "critical" : "primary"} />
+      <Text as="p" variant="bodySm" tone="subdued">{`${doneCount} of ${job.steps.length} step(s) done`}</Text>
+      {job.error && (<Banner tone="critical"><p>{job.error}</p></Banner>)}
+      {job.steps.map((step) => (
+        <BlockStack gap="100" key={step.key}>
+          <InlineStack gap="200" blockAlign="center">
+            <Badge tone={STEP_STATUS_TONES[step.status]}>{STEP_STATUS_LABELS[step.status]}</Badge>
+            <Text as="span" fontWeight="semibold">{step.label}</Text>
+          </InlineStack>
+          {step.message && <Text as="p" variant="bodySm">{step.message}</Text>}
+          {step.errors?.map((error, index) => (<Text as="p" variant="bodySm" tone="critical" key={index}>{error.field ? `Field: ${[].concat(error.field).join(", ")} - ` : ""}{error.message}</Text>))}
+          <RemapReport report={step.result?.remapReport} />
+        </BlockStack>
+      ))}
+      {retryFetcher.data?.errors && (<InlineError message={retryFetcher.data.errors[0].message} fieldID={`jobRetryError${jobId}`} />)}
+      {job.status === JOB_STATUS.failed && (
+        <InlineStack>
+          <Button onClick={handleRetry} loading={retryFetcher.state !== "idle"}>Retry failed steps</Button>
+        </InlineStack>
+      )}
+    </BlockStack>
+  );
+}
+
 // React Component
 export default function Index() {
-  const { menus, errors: loaderErrors } = useLoaderData();
+  const { menus, menuList, errors: loaderErrors } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const exportFetcher = useFetcher();
+  const navigate = useNavigate();
+  const submit = useSubmit();
 
   const [selectedMenuIdForDuplicate, setSelectedMenuIdForDuplicate] = useState(menus?.[0]?.id || "");
   const [newMenuTitleForDuplicate, setNewMenuTitleForDuplicate] = useState("");
+  const [newMenuHandleForDuplicate, setNewMenuHandleForDuplicate] = useState("");
+  const [copyTranslationsForDuplicate, setCopyTranslationsForDuplicate] = useState(false);
 
   const [selectedMenuIdForExport, setSelectedMenuIdForExport] = useState(menus?.[0]?.id || "");
+  const [exportFormat, setExportFormat] = useState("json");
+  // Format the pending export was requested in, so changing the select afterwards has no effect
+  const requestedExportFormat = useRef("json");
+  const [selectedMenuIdForEdit, setSelectedMenuIdForEdit] = useState(menus?.[0]?.id || "");
   const [exportUserMessage, setExportUserMessage] = useState("");
   const [showExportToast, setShowExportToast] = useState(false);
 
   const [newMenuTitleForImport, setNewMenuTitleForImport] = useState("");
+  const [newMenuHandleForImport, setNewMenuHandleForImport] = useState("");
   const [fileToImport, setFileToImport] = useState(null);
   const [importFormErrors, setImportFormErrors] = useState([]);
+  const [bundleMenus, setBundleMenus] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importTargetMenuId, setImportTargetMenuId] = useState("");
+  const [importMode, setImportMode] = useState(["replace"]);
+  const [bundleSelections, setBundleSelections] = useState([]);
 
   console.log("Current fileToImport state:", fileToImport); // Log fileToImport on re-renders
 
   const isLoading = navigation.state === "submitting" || navigation.state === "loading";
   const isDuplicating = navigation.state === "submitting" && navigation.formData?.get("_action") === "duplicateMenu";
-  const isImporting = navigation.state === "submitting" && navigation.formData?.get("_action") === "importMenu";
+  const isImporting = navigation.state === "submitting" && ["importMenu", "importBundle", "previewImport"].includes(navigation.formData?.get("_action"));
   const isExporting = exportFetcher.state !== "idle";
 
   const menuOptions = menus?.map((menu) => ({ label: menu.title, value: menu.id })) || [];
+  const takenHandles = menus?.map((menu) => menu.handle) || [];
 
   useEffect(() => {
     if (menus?.length > 0 && menuOptions.length > 0) { // Check menuOptions too
       if (!selectedMenuIdForDuplicate) setSelectedMenuIdForDuplicate(menuOptions[0].value);
       if (!selectedMenuIdForExport) setSelectedMenuIdForExport(menuOptions[0].value);
+      if (!selectedMenuIdForEdit) setSelectedMenuIdForEdit(menuOptions[0].value);
     }
-  }, [menus, menuOptions, selectedMenuIdForDuplicate, selectedMenuIdForExport]);
+  }, [menus, menuOptions, selectedMenuIdForDuplicate, selectedMenuIdForExport, selectedMenuIdForEdit]);
 
   useEffect(() => {
     if (actionData?.actionName === "duplicateMenu" && actionData?.success) {
       setNewMenuTitleForDuplicate("");
+      setNewMenuHandleForDuplicate("");
+    }
+    if (actionData?.actionName === "importBundle" && actionData?.success) {
+      setFileToImport(null);
+      setBundleMenus(null);
+      setBundleSelections([]);
     }
-    if (actionData?.actionName === "importMenu") {
+    if (actionData?.actionName === "previewImport" && actionData?.success) {
+      setImportPreview(actionData.preview);
+      setImportFormErrors([]);
+    } else if (["importMenu", "importBundle", "previewImport"].includes(actionData?.actionName)) {
+      setImportPreview(null);
       if (actionData?.success) {
         setNewMenuTitleForImport("");
+        setNewMenuHandleForImport("");
         setFileToImport(null);
         setImportFormErrors([]);
       } else if (actionData?.errors) {
@@ -264,6 +746,7 @@ export default function Index() {
         const isFileError = actionData.errors.some(err => err.field?.includes('file'));
         if (isFileError) {
             setFileToImport(null); // Clear file if the error was file-related
+            setBundleMenus(null);
         }
       }
     }
@@ -276,27 +759,33 @@ export default function Index() {
       return;
     }
     setExportUserMessage("");
+    requestedExportFormat.current = exportFormat;
     exportFetcher.load(`/app/export-menu.json?menuId=${selectedMenuIdForExport}`);
-  }, [selectedMenuIdForExport, exportFetcher]);
+  }, [selectedMenuIdForExport, exportFormat, exportFetcher]);
+
+  const handleExportAllMenus = useCallback(() => {
+    setExportUserMessage("");
+    exportFetcher.load("/app/export-menu.json?all=true");
+  }, [exportFetcher]);
 
   useEffect(() => {
     if (exportFetcher.data) {
       if (exportFetcher.data.error) {
         console.error("Export error from fetcher:", exportFetcher.data.error, exportFetcher.data.details);
         setExportUserMessage(`Export failed: ${exportFetcher.data.details || exportFetcher.data.error}`);
+      } else if (isMenuBundle(exportFetcher.data)) {
+        const bundle = exportFetcher.data;
+        downloadFile(JSON.stringify(bundle, null, 2), "application/json", bundleFileName(bundle.exportedAt));
+        setExportUserMessage(bundle.skipped?.length
+          ? `Exported ${bundle.menus.length} menus; export failed for ${bundle.skipped.map((menu) => menu.handle).join(", ")}.`
+          : `Exported all ${bundle.menus.length} menus successfully!`);
       } else {
         const menuToExport = exportFetcher.data;
-        const jsonString = JSON.stringify({ items: menuToExport.items }, null, 2);
-        const blob = new Blob([jsonString], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
+        const isCsvExport = requestedExportFormat.current === "csv";
+        // JSON downloads keep the whole versioned document, including its source metadata
+        const fileContent = isCsvExport ? menuItemsToCsv(menuToExport.items) : JSON.stringify(menuToExport, null, 2);
         const handle = menuToExport.originalHandle || menuToExport.originalTitle?.toLowerCase().replace(/\s+/g, '-') || "menu";
-        a.download = `${handle}-export.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(fileContent, isCsvExport ? "text/csv" : "application/json", `${handle}-export.${isCsvExport ? "csv" : "json"}`);
         setExportUserMessage("Menu exported successfully!");
       }
       setShowExportToast(true);
@@ -310,15 +799,46 @@ export default function Index() {
   const handleTitleChangeForDuplicate = useCallback((value) => setNewMenuTitleForDuplicate(value), []);
   const duplicateFormErrors = actionData?.actionName === "duplicateMenu" && actionData?.errors?.filter(err => err.field?.includes('form'));
   const duplicateTitleFieldErrorMsg = actionData?.actionName === "duplicateMenu" && actionData?.errors?.find(err => err.field?.includes('title') || err.field?.includes('newMenuTitle'))?.message;
+  const duplicateHandleFieldErrorMsg = actionData?.actionName === "duplicateMenu" ? actionData?.errors?.find(err => err.field?.includes('newMenuHandle'))?.message : undefined;
+  const duplicateHandleProblem = newMenuHandleForDuplicate.trim() && checkMenuHandle(newMenuHandleForDuplicate.trim(), takenHandles);
 
   const handleSelectChangeForExport = useCallback((value) => setSelectedMenuIdForExport(value), []);
+  const handleFormatChangeForExport = useCallback((value) => setExportFormat(value), []);
+
+  const handleSelectChangeForEdit = useCallback((value) => setSelectedMenuIdForEdit(value), []);
+  const openMenuEditor = useCallback((menuId) => navigate(`/app/menus/${menuId.split("/").pop()}`), [navigate]);
+  const handleEditMenu = useCallback(() => {
+    if (selectedMenuIdForEdit) openMenuEditor(selectedMenuIdForEdit);
+  }, [selectedMenuIdForEdit, openMenuEditor]);
 
   const handleTitleChangeForImport = useCallback((value) => setNewMenuTitleForImport(value), []);
   const handleDropZoneDrop = useCallback((_dropFiles, acceptedFiles, _rejectedFiles) => {
       console.log("File dropped into DropZone. Accepted files:", acceptedFiles);
+      setBundleMenus(null);
+      setBundleSelections([]);
+      setImportPreview(null);
       if (acceptedFiles && acceptedFiles.length > 0) {
         setFileToImport(acceptedFiles[0]);
         console.log("fileToImport state will be set to:", acceptedFiles[0]);
+        // Bundles hold several menus, so list them for selection before submitting
+        acceptedFiles[0].text().then((text) => {
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (e) {
+            return; // Not JSON (e.g. CSV); validated on submit
+          }
+          data = migrateMenuExport(data).document;
+          if (!isMenuBundle(data)) return;
+          const menusInBundle = data.menus.map((menu, index) => ({
+            index,
+            originalHandle: menu.originalHandle,
+            originalTitle: menu.originalTitle,
+            itemCount: data.manifest?.[index]?.itemCount ?? menu.items?.length ?? 0,
+          }));
+          setBundleMenus(menusInBundle);
+          setBundleSelections(menusInBundle.map((menu) => ({ index: menu.index, include: true, mode: "keep", title: menu.originalTitle })));
+        });
       } else {
         console.log("No accepted files, or empty acceptedFiles array.");
         setFileToImport(null);
@@ -326,7 +846,27 @@ export default function Index() {
       setImportFormErrors([]);
     },[]);
 
+  // DropZone keeps the file in state rather than in a named input, so add it to the submission here
+  const handleImportSubmit = useCallback((event) => {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    if (fileToImport) formData.set("menuFile", fileToImport);
+    if (bundleMenus) {
+      formData.set("_action", "importBundle");
+      formData.set("bundleSelections", JSON.stringify(bundleSelections.filter((selection) => selection.include)));
+    } else if (!importPreview) {
+      // Single files are previewed first; the menu is only written once the preview is confirmed
+      formData.set("_action", "previewImport");
+    }
+    submit(formData, { method: "post", encType: "multipart/form-data" });
+  }, [fileToImport, bundleMenus, bundleSelections, importPreview, submit]);
+
+  const importTargetOptions = [{ label: "A new menu", value: "" }, ...menuOptions];
+  const isImportIntoExisting = Boolean(importTargetMenuId) && !bundleMenus;
+
   const importTitleFieldErrorMsg = importFormErrors.find(err => err.field?.includes('newImportMenuTitle') || err.field?.includes('title'))?.message;
+  const importHandleFieldErrorMsg = importFormErrors.find(err => err.field?.includes('newImportMenuHandle'))?.message;
+  const importHandleProblem = !isImportIntoExisting && !bundleMenus && newMenuHandleForImport.trim() && checkMenuHandle(newMenuHandleForImport.trim(), takenHandles);
   const importFileErrorMsg = importFormErrors.find(err => err.field?.includes('file'))?.message;
   const importGenericFormErrorMsg = importFormErrors.find(err => err.field?.includes('form'))?.message;
 
@@ -346,6 +886,9 @@ export default function Index() {
         <BlockStack gap="500">
           <Layout>
             <Layout.Section>
+              {/* Menu List Card */}
+              <MenuList menuList={menuList} onOpenMenu={openMenuEditor} />
+
               {/* Duplicate Menu Card */}
               <Card sectioned title="Duplicate Menu">
                 <RemixForm method="post">
@@ -356,55 +899,90 @@ export default function Index() {
                       <Select label="Select Menu to Duplicate" options={menuOptions} onChange={handleSelectChangeForDuplicate} value={selectedMenuIdForDuplicate} name="originalMenuId" disabled={isLoading} />
                     ) : (!isLoading && !loaderErrors && <Text as="p">No menus found.</Text>)}
                     <TextField label="New Menu Title" value={newMenuTitleForDuplicate} onChange={handleTitleChangeForDuplicate} name="newMenuTitle" autoComplete="off" error={duplicateTitleFieldErrorMsg} disabled={isLoading} placeholder="e.g., My Awesome New Menu"/>
+                    <MenuHandleField name="newMenuHandle" value={newMenuHandleForDuplicate} onChange={setNewMenuHandleForDuplicate} title={newMenuTitleForDuplicate} takenHandles={takenHandles} serverError={duplicateHandleFieldErrorMsg} disabled={isLoading} />
+                    <input type="hidden" name="copyTranslations" value={String(copyTranslationsForDuplicate)} />
+                    <Checkbox label="Copy translations" helpText="Copies the translated item titles of every published language." checked={copyTranslationsForDuplicate} onChange={setCopyTranslationsForDuplicate} disabled={isLoading} />
                     {duplicateFormErrors?.length > 0 && duplicateFormErrors.map((err, idx) => (<InlineError key={idx} message={err.message} fieldID={`dupFormError${idx}`} />))}
-                    <Button variant="primary" submit disabled={isDuplicating || !selectedMenuIdForDuplicate || !newMenuTitleForDuplicate.trim()}>
+                    <Button variant="primary" submit disabled={isDuplicating || !selectedMenuIdForDuplicate || !newMenuTitleForDuplicate.trim() || Boolean(duplicateHandleProblem)}>
                       {isDuplicating ? <Spinner accessibilityLabel="Duplicating" size="small" /> : "Duplicate Menu"}
                     </Button>
                   </FormLayout>
                 </RemixForm>
                 {actionData && actionData.actionName === "duplicateMenu" && (
                   <Box paddingBlockStart="400">
-                    {actionData.success && (<Banner title="Success!" tone="success"><p>{actionData.message}</p></Banner>)}
+                    {actionData.jobId && (<JobProgress key={actionData.jobId} jobId={actionData.jobId} />)}
                     {actionData.errors && !actionData.success && (<Banner title="Error Duplicating Menu" tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.field ? `Field: ${error.field.join(", ")} - ` : ""}{error.message}</Text>))}</BlockStack></Banner>)}
                   </Box>
                 )}
               </Card>
 
+              {/* Edit Menu Card */}
+              <Card sectioned title="Edit Menu">
+                <FormLayout>
+                  {menuOptions.length > 0 ? (
+                    <Select label="Select Menu to Edit" options={menuOptions} onChange={handleSelectChangeForEdit} value={selectedMenuIdForEdit} disabled={isLoading} />
+                  ) : (!isLoading && !loaderErrors && <Text as="p">No menus found.</Text>)}
+                  <Button onClick={handleEditMenu} disabled={!selectedMenuIdForEdit || isLoading}>Open Menu Editor</Button>
+                </FormLayout>
+              </Card>
+
               {/* Export Menu Card */}
               <Card sectioned title="Export Menu">
                 <FormLayout>
                   {menuOptions.length > 0 ? (
                     <Select label="Select Menu to Export" options={menuOptions} onChange={handleSelectChangeForExport} value={selectedMenuIdForExport} disabled={isLoading || isExporting} />
                   ) : (!isLoading && !loaderErrors && <Text as="p">No menus found.</Text>)}
+                  <Select label="Format" options={EXPORT_FORMAT_OPTIONS} onChange={handleFormatChangeForExport} value={exportFormat} disabled={isExporting} />
                   <Button onClick={handleExportMenu} disabled={!selectedMenuIdForExport || isLoading || isExporting} primary>
                     {isExporting ? <Spinner accessibilityLabel="Exporting" size="small" /> : "Export Selected Menu"}
                   </Button>
+                  <Button onClick={handleExportAllMenus} disabled={menuOptions.length === 0 || isLoading || isExporting}>
+                    Export All Menus (JSON bundle)
+                  </Button>
                   {exportFetcher.data?.error && !isExporting && (<Box paddingTop="200"><InlineError message={`Export failed: ${exportFetcher.data.details || exportFetcher.data.error}`} fieldID="exportErrorDisplay" /></Box>)}
                 </FormLayout>
               </Card>
 
               {/* Import Menu Card */}
               <Card sectioned title="Import Menu">
-                <RemixForm method="post" encType="multipart/form-data">
+                <RemixForm method="post" encType="multipart/form-data" onSubmit={handleImportSubmit}>
                   <FormLayout>
                     <input type="hidden" name="_action" value="importMenu" />
-                    <TextField label="New Menu Title for Imported Menu" value={newMenuTitleForImport} onChange={handleTitleChangeForImport} name="newImportMenuTitle" autoComplete="off" placeholder="e.g., Imported Main Menu" error={importTitleFieldErrorMsg} disabled={isImporting} />
-                    <DropZone label="Menu JSON File" allowMultiple={false} onDrop={handleDropZoneDrop} accept=".json" error={importFileErrorMsg} disabled={isImporting} name="menuFileProxy"> {/* Added proxy name for clarity, actual file input name is important */}
-                      {/* The actual file input needs name="menuFile" if DropZone doesn't handle it. */}
-                      {/* For now, assuming DropZone + Remix form magically works or we debug if file is not in formData */}
+                    {!bundleMenus && (<Select label="Import Into" options={importTargetOptions} onChange={setImportTargetMenuId} value={importTargetMenuId} name="importTargetMenuId" disabled={isImporting} helpText={isImportIntoExisting ? "The menu keeps its handle and title, so theme references keep working." : undefined} />)}
+                    {isImportIntoExisting && (
+                      <ChoiceList
+                        title="Import Mode"
+                        choices={[
+                          { label: "Replace all items", value: "replace", helpText: "The menu's items are replaced by the items in the file." },
+                          { label: "Merge", value: "merge", helpText: "Items are matched by title and URL; only items missing from the menu are added." },
+                        ]}
+                        selected={importMode}
+                        onChange={setImportMode}
+                        disabled={isImporting}
+                      />
+                    )}
+                    {isImportIntoExisting && <input type="hidden" name="importMode" value={importMode[0]} />}
+                    {!bundleMenus && !isImportIntoExisting && (<TextField label="New Menu Title for Imported Menu" value={newMenuTitleForImport} onChange={handleTitleChangeForImport} name="newImportMenuTitle" autoComplete="off" placeholder="e.g., Imported Main Menu" error={importTitleFieldErrorMsg} disabled={isImporting} />)}
+                    {!bundleMenus && !isImportIntoExisting && (<MenuHandleField name="newImportMenuHandle" value={newMenuHandleForImport} onChange={setNewMenuHandleForImport} title={newMenuTitleForImport} takenHandles={takenHandles} serverError={importHandleFieldErrorMsg} disabled={isImporting} />)}
+                    <DropZone label="Menu JSON or CSV File" allowMultiple={false} onDrop={handleDropZoneDrop} accept=".json,.csv" error={importFileErrorMsg} disabled={isImporting}>
                       {uploadedFileDisplay}
                       {fileUpload}
                     </DropZone>
+                    {bundleMenus && (<BundleMenuPicker menus={bundleMenus} selections={bundleSelections} onChange={setBundleSelections} disabled={isImporting} />)}
+                    {importPreview && !bundleMenus && (<ImportPreview preview={importPreview} />)}
                     {importGenericFormErrorMsg && (<InlineError message={importGenericFormErrorMsg} fieldID="importFormError" />)}
-                    <Button variant="primary" submit disabled={isImporting || !newMenuTitleForImport.trim() || !fileToImport}>
-                      {isImporting ? <Spinner accessibilityLabel="Importing" size="small" /> : "Import Menu"}
-                    </Button>
+                    <InlineStack gap="200">
+                      <Button variant="primary" submit disabled={isImporting || !fileToImport || (bundleMenus ? !bundleSelections.some((selection) => selection.include) : (!isImportIntoExisting && !newMenuTitleForImport.trim()) || Boolean(importHandleProblem) || importPreview?.problems.length > 0)}>
+                        {isImporting ? <Spinner accessibilityLabel="Importing" size="small" /> : bundleMenus ? "Import Selected Menus" : importPreview ? "Confirm Import" : "Preview Import"}
+                      </Button>
+                      {importPreview && !bundleMenus && (<Button onClick={() => setImportPreview(null)} disabled={isImporting}>Cancel</Button>)}
+                    </InlineStack>
                   </FormLayout>
                 </RemixForm>
-                {actionData && actionData.actionName === "importMenu" && (
+                {actionData && ["importMenu", "importBundle"].includes(actionData.actionName) && (
                   <Box paddingBlockStart="400">
-                    {actionData.success && (<Banner title="Success!" tone="success"><p>{actionData.message}</p></Banner>)}
-                    {actionData.errors && !actionData.success && (<Banner title="Error Importing Menu" tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.field ? `Field: ${error.field.join(", ")} - ` : ""}{error.message}</Text>))}</BlockStack></Banner>)}
+                    {actionData.jobId && (<JobProgress key={actionData.jobId} jobId={actionData.jobId} />)}
+                    {actionData.errors && !actionData.success && (<Banner title={actionData.actionName === "importBundle" ? "Error Importing Bundle" : "Error Importing Menu"} tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.field ? `Field: ${error.field.join(", ")} - ` : ""}{error.message}</Text>))}</BlockStack></Banner>)}
                   </Box>
                 )}
               </Card>
@@ -0,0 +1,187 @@
+// app/routes/app.api-tokens.jsx
+
+import { useState, useEffect } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  TextField,
+  IndexTable,
+  Badge,
+  EmptyState,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { issueApiToken } from "../api-auth.server";
+import { API_TOKEN_PREFIX, MAX_API_TOKEN_NAME_LENGTH } from "../api-tokens";
+import { getApiTokens, revokeApiToken } from "../models/ApiToken.server";
+import { responseOutcome, staffFromAuth, withAuditLog } from "../audit-log.server";
+import { staffLabel } from "../audit-log";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const tokens = await getApiTokens(session.shop);
+  return Response.json({ tokens, apiUrl: `${process.env.SHOPIFY_APP_URL || ""}/api` });
+};
+
+const handleAction = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+  const { session } = auth;
+  const formData = await request.formData();
+  const actionName = formData.get("_action");
+
+  try {
+    if (actionName === "createApiToken") {
+      const name = formData.get("name")?.toString().trim();
+      if (!name) {
+        return Response.json({ actionName, success: false, errors: [{ field: ["name"], message: "Give the token a name, e.g. the pipeline that uses it." }] });
+      }
+      if (name.length > MAX_API_TOKEN_NAME_LENGTH) {
+        return Response.json({ actionName, success: false, errors: [{ field: ["name"], message: `Names can be at most ${MAX_API_TOKEN_NAME_LENGTH} characters.` }] });
+      }
+      const { apiToken, token } = await issueApiToken({ shop: session.shop, name, createdBy: staffLabel(staffFromAuth(auth)) });
+      return Response.json({ actionName, success: true, token, message: `Created API token "${apiToken.name}".` });
+    }
+
+    if (actionName === "revokeApiToken") {
+      const revoked = await revokeApiToken(formData.get("tokenId")?.toString(), session.shop);
+      if (!revoked) {
+        return Response.json({ actionName, success: false, errors: [{ message: "Token not found or already revoked." }] });
+      }
+      return Response.json({ actionName, success: true, message: `Revoked API token "${revoked.name}".` });
+    }
+
+    return Response.json({ actionName, success: false, errors: [{ message: "Unknown action." }] });
+  } catch (error) {
+    console.error(`Error in ${actionName} action:`, error);
+    if (error instanceof Response) throw error;
+    return Response.json({ actionName, success: false, errors: [{ message: error.message || "An unexpected error occurred." }] });
+  }
+};
+
+// The token itself is never logged
+export const action = withAuditLog(handleAction, ({ body }) => (
+  ["createApiToken", "revokeApiToken"].includes(body.actionName) ? { action: body.actionName, ...responseOutcome(body) } : null
+));
+
+export default function ApiTokens() {
+  const { tokens, apiUrl } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [name, setName] = useState("");
+
+  useEffect(() => {
+    if (actionData?.actionName === "createApiToken" && actionData.success) setName("");
+  }, [actionData]);
+
+  const submittingAction = navigation.state === "submitting" ? navigation.formData?.get("_action") : null;
+  const busyTokenId = navigation.state === "submitting" ? navigation.formData?.get("tokenId") : null;
+  const nameError = actionData?.actionName === "createApiToken" && !actionData.success
+    ? actionData.errors?.find((error) => error.field?.includes("name"))?.message
+    : undefined;
+  const generalErrors = actionData && !actionData.success ? actionData.errors?.filter((error) => !error.field) : null;
+
+  const rowMarkup = tokens.map((token, index) => (
+    <IndexTable.Row id={token.id} key={token.id} position={index}>
+      <IndexTable.Cell>
+        <Text as="span" fontWeight="semibold">{token.name}</Text>
+        <Text as="p" variant="bodySm" tone="subdued">{`${API_TOKEN_PREFIX}…${token.tokenHint}`}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{token.createdBy || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(token.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : "Never"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {token.revokedAt ? <Badge>Revoked</Badge> : <Badge tone="success">Active</Badge>}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {!token.revokedAt && (
+          <RemixForm method="post">
+            <input type="hidden" name="tokenId" value={token.id} />
+            <Button submit size="slim" tone="critical" name="_action" value="revokeApiToken" loading={busyTokenId === token.id}>Revoke</Button>
+          </RemixForm>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="API tokens" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.success && actionData.token && (
+              <Banner title={actionData.message} tone="success">
+                <BlockStack gap="200">
+                  <Text as="p">Copy the token now. It is not stored and will not be shown again.</Text>
+                  <TextField label="API token" labelHidden value={actionData.token} readOnly selectTextOnFocus autoComplete="off" monospaced />
+                </BlockStack>
+              </Banner>
+            )}
+            {actionData?.success && !actionData.token && (<Banner title="Token revoked" tone="success"><p>{actionData.message}</p></Banner>)}
+            {generalErrors?.length > 0 && (<Banner title="Error" tone="critical"><BlockStack gap="100">{generalErrors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</BlockStack></Banner>)}
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">Headless API</Text>
+                <Text as="p">Scripts and deploy pipelines can list, export and import menus without opening the app. Send a token with every request:</Text>
+                <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+                  <BlockStack gap="100">
+                    <Text as="p" variant="bodySm" fontWeight="medium">Authorization: Bearer {`${API_TOKEN_PREFIX}…`}</Text>
+                    <Text as="p" variant="bodySm">{`GET ${apiUrl}/menus`}</Text>
+                    <Text as="p" variant="bodySm">{`GET ${apiUrl}/menus/{handle}/export`}</Text>
+                    <Text as="p" variant="bodySm">{`POST ${apiUrl}/menus/import?handle={handle}&mode=replace|merge&title={title}`}</Text>
+                    <Text as="p" variant="bodySm">{`GET ${apiUrl}/jobs/{id}`}</Text>
+                  </BlockStack>
+                </Box>
+                <Text as="p" tone="subdued">Imports take an export document or a CSV file as the request body and run in the background; poll the returned job for the result. Every change is recorded in the audit log with the source API.</Text>
+              </BlockStack>
+            </Card>
+            <Card>
+              <RemixForm method="post">
+                <input type="hidden" name="_action" value="createApiToken" />
+                <FormLayout>
+                  <Text as="h2" variant="headingMd">Create a token</Text>
+                  <TextField label="Name" name="name" value={name} onChange={setName} autoComplete="off" placeholder="e.g. Staging deploy" maxLength={MAX_API_TOKEN_NAME_LENGTH} error={nameError} />
+                  <InlineStack>
+                    <Button variant="primary" submit loading={submittingAction === "createApiToken"} disabled={!name.trim()}>Create token</Button>
+                  </InlineStack>
+                </FormLayout>
+              </RemixForm>
+            </Card>
+            <Card>
+              {tokens.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: "token", plural: "tokens" }}
+                  itemCount={tokens.length}
+                  selectable={false}
+                  headings={[{ title: "Token" }, { title: "Created by" }, { title: "Created" }, { title: "Last used" }, { title: "Status" }, { title: "" }]}
+                >
+                  {rowMarkup}
+                </IndexTable>
+              ) : (
+                <Box paddingBlock="400">
+                  <EmptyState heading="No API tokens" image="">
+                    <p>Create a token to use the headless API.</p>
+                  </EmptyState>
+                </Box>
+              )}
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,165 @@
+// app/routes/app.audit.jsx
+
+import { useCallback } from "react";
+import { useLoaderData, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineGrid,
+  Select,
+  TextField,
+  IndexTable,
+  Badge,
+  EmptyState,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import { getAuditEntries, getAuditStaff } from "../models/MenuAuditLog.server";
+import { AUDIT_ACTIONS, AUDIT_OUTCOMES, AUDIT_SOURCES, staffLabel } from "../audit-log";
+
+const FILTER_KEYS = ["action", "outcome", "menuId", "userId", "from", "to"];
+
+// Date filters are whole days; `to` includes the day it names
+function parseDay(value, { nextDay = false } = {}) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return undefined;
+  const date = new Date(`${value}T00:00:00`);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (nextDay) date.setDate(date.getDate() + 1);
+  return date;
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const filters = Object.fromEntries(FILTER_KEYS.map((key) => [key, url.searchParams.get(key) || ""]));
+  const page = Math.max(Number(url.searchParams.get("page")) || 1, 1);
+
+  const [{ entries, hasNextPage }, staff, { menus, errors }] = await Promise.all([
+    getAuditEntries(session.shop, {
+      action: filters.action || undefined,
+      outcome: filters.outcome || undefined,
+      menuId: filters.menuId || undefined,
+      userId: filters.userId || undefined,
+      from: parseDay(filters.from),
+      to: parseDay(filters.to, { nextDay: true }),
+      page,
+    }),
+    getAuditStaff(session.shop),
+    fetchAllMenus(admin),
+  ]);
+
+  // Deleted menus are no longer listed, so their entries show the bare ID
+  const menuTitles = Object.fromEntries((menus || []).map((menu) => [menu.id, menu.title]));
+  return Response.json({ entries, hasNextPage, page, filters, staff, menus: menus || [], menuTitles, errors });
+};
+
+export default function AuditLog() {
+  const { entries, hasNextPage, page, filters, staff, menus, menuTitles, errors } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const setFilter = useCallback((key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    next.delete("page");
+    setSearchParams(next);
+  }, [searchParams, setSearchParams]);
+
+  const goToPage = useCallback((nextPage) => {
+    const next = new URLSearchParams(searchParams);
+    next.set("page", String(nextPage));
+    setSearchParams(next);
+  }, [searchParams, setSearchParams]);
+
+  const toOptions = (labels, allLabel) => [{ label: allLabel, value: "" }, ...Object.entries(labels).map(([value, label]) => ({ label, value }))];
+  const menuLabel = (menuId) => (menuId ? menuTitles[menuId] || menuId : null);
+
+  const rowMarkup = entries.map((entry, index) => (
+    <IndexTable.Row id={entry.id} key={entry.id} position={index}>
+      <IndexTable.Cell>{new Date(entry.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{entry.source !== "app" ? AUDIT_SOURCES[entry.source] || entry.source : staffLabel(entry)}</IndexTable.Cell>
+      <IndexTable.Cell>{AUDIT_ACTIONS[entry.action] || entry.action}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {entry.sourceMenuId && (<Text as="p" variant="bodySm">{`From: ${menuLabel(entry.sourceMenuId)}`}</Text>)}
+        {entry.targetMenuId && (<Text as="p" variant="bodySm">{`To: ${menuLabel(entry.targetMenuId)}`}</Text>)}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={entry.outcome === "success" ? "success" : "critical"}>{AUDIT_OUTCOMES[entry.outcome] || entry.outcome}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          {entry.message && <Text as="p" variant="bodySm">{entry.message}</Text>}
+          {entry.userErrors.map((error, errorIndex) => (
+            <Text as="p" variant="bodySm" tone="critical" key={errorIndex}>{error.field ? `${[].concat(error.field).join(", ")}: ` : ""}{error.message}</Text>
+          ))}
+        </BlockStack>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Audit log" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {errors && (<Banner title="Menu titles could not be loaded" tone="warning"><p>Entries show menu IDs instead.</p></Banner>)}
+            <Card>
+              <BlockStack gap="300">
+                <InlineGrid columns={{ xs: 1, md: 3 }} gap="300">
+                  <Select label="Action" options={toOptions(AUDIT_ACTIONS, "All actions")} value={filters.action} onChange={(value) => setFilter("action", value)} />
+                  <Select label="Outcome" options={toOptions(AUDIT_OUTCOMES, "All outcomes")} value={filters.outcome} onChange={(value) => setFilter("outcome", value)} />
+                  <Select
+                    label="Menu"
+                    options={[{ label: "All menus", value: "" }, ...menus.map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id }))]}
+                    value={filters.menuId}
+                    onChange={(value) => setFilter("menuId", value)}
+                  />
+                  <Select
+                    label="Staff member"
+                    options={[{ label: "All staff", value: "" }, ...staff.map((member) => ({ label: staffLabel(member), value: member.userId }))]}
+                    value={filters.userId}
+                    onChange={(value) => setFilter("userId", value)}
+                  />
+                  <TextField label="From" type="date" value={filters.from} onChange={(value) => setFilter("from", value)} autoComplete="off" />
+                  <TextField label="To" type="date" value={filters.to} onChange={(value) => setFilter("to", value)} autoComplete="off" />
+                </InlineGrid>
+                {entries.length > 0 ? (
+                  <IndexTable
+                    resourceName={{ singular: "entry", plural: "entries" }}
+                    itemCount={entries.length}
+                    selectable={false}
+                    headings={[{ title: "When" }, { title: "Who" }, { title: "Action" }, { title: "Menus" }, { title: "Outcome" }, { title: "Details" }]}
+                  >
+                    {rowMarkup}
+                  </IndexTable>
+                ) : (
+                  <Box paddingBlock="400">
+                    <EmptyState heading="No matching entries" image="">
+                      <p>Duplicates, imports, exports and edits are recorded here with who made them and how they went.</p>
+                    </EmptyState>
+                  </Box>
+                )}
+                {(page > 1 || hasNextPage) && (
+                  <Pagination
+                    hasPrevious={page > 1}
+                    onPrevious={() => goToPage(page - 1)}
+                    hasNext={hasNextPage}
+                    onNext={() => goToPage(page + 1)}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,209 @@
+// app/routes/app.diff.jsx
+
+import { useState, useCallback } from "react";
+import { unstable_createMemoryUploadHandler, unstable_parseMultipartFormData } from "@remix-run/node";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  ChoiceList,
+  DropZone,
+  Badge,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import { fetchMenuTree, truncationErrors } from "../menu-tree.server";
+import { readMenuFile } from "../menu-file.server";
+import { DIFF_STATUS, diffMenuItems } from "../menu-diff";
+
+const STATUS_BADGE_TONES = {
+  [DIFF_STATUS.added]: "success",
+  [DIFF_STATUS.removed]: "critical",
+  [DIFF_STATUS.moved]: "attention",
+  [DIFF_STATUS.changed]: "warning",
+};
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const { menus, errors } = await fetchAllMenus(admin);
+  return Response.json({ menus, errors });
+};
+
+// Loads one side of the comparison, either a live menu or an uploaded file
+async function loadComparisonSide(admin, { menuId, file }) {
+  if (file) {
+    const { items, errors } = await readMenuFile(file);
+    return { label: `File: ${file.name}`, items, errors };
+  }
+  const { menu, truncated, errors } = await fetchMenuTree(admin, menuId);
+  if (errors || !menu) {
+    return { items: null, errors: errors || [{ message: "Menu not found." }] };
+  }
+  if (truncated.length > 0) {
+    return { items: null, errors: truncationErrors(truncated) };
+  }
+  return { label: `${menu.title} (${menu.handle})`, items: menu.items, errors: null };
+}
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const uploadHandler = unstable_createMemoryUploadHandler({ maxPartSize: 5_000_000 });
+  const formData = await unstable_parseMultipartFormData(request, uploadHandler);
+
+  const leftMenuId = formData.get("leftMenuId")?.toString();
+  const compareWith = formData.get("compareWith")?.toString();
+  const rightMenuId = formData.get("rightMenuId")?.toString();
+  const uploadedFile = formData.get("menuFile");
+  const hasFile = uploadedFile && typeof uploadedFile !== "string" && uploadedFile.size > 0;
+
+  if (!leftMenuId || (compareWith === "file" ? !hasFile : !rightMenuId)) {
+    return Response.json({ success: false, errors: [{ field: ["form"], message: "Choose a menu and what to compare it with." }] });
+  }
+
+  try {
+    const left = await loadComparisonSide(admin, { menuId: leftMenuId });
+    const right = await loadComparisonSide(admin, compareWith === "file" ? { file: uploadedFile } : { menuId: rightMenuId });
+    const errors = [...(left.errors || []), ...(right.errors || [])];
+    if (errors.length > 0) {
+      return Response.json({ success: false, errors });
+    }
+    const diff = diffMenuItems(left.items, right.items);
+    return Response.json({ success: true, leftLabel: left.label, rightLabel: right.label, ...diff });
+  } catch (error) {
+    console.error("Error comparing menus:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ success: false, errors: [{ message: error.message || "An unexpected error occurred while comparing." }] });
+  }
+};
+
+function DiffTree({ items, depth = 0 }) {
+  return items.map((item, index) => (
+    <Box key={index} paddingInlineStart={depth > 0 ? "500" : "0"}>
+      <BlockStack gap="100">
+        <Box padding="100" background={item.statuses.includes(DIFF_STATUS.unchanged) ? undefined : "bg-surface-secondary"} borderRadius="100">
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="span" fontWeight="semibold" textDecorationLine={item.statuses.includes(DIFF_STATUS.removed) ? "line-through" : undefined}>{item.title}</Text>
+            <Text as="span" variant="bodySm" tone="subdued">{item.url || item.type}</Text>
+            {item.statuses.filter((status) => status !== DIFF_STATUS.unchanged).map((status) => (<Badge key={status} tone={STATUS_BADGE_TONES[status]}>{status}</Badge>))}
+          </InlineStack>
+          {item.changes.map((change) => (
+            <Text as="p" variant="bodySm" key={change.field}>{change.field}: {change.from || "(empty)"} → {change.to || "(empty)"}</Text>
+          ))}
+        </Box>
+        {item.items.length > 0 && <DiffTree items={item.items} depth={depth + 1} />}
+      </BlockStack>
+    </Box>
+  ));
+}
+
+export default function MenuDiff() {
+  const { menus, errors: loaderErrors } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const isComparing = navigation.state === "submitting";
+
+  const menuOptions = menus?.map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id })) || [];
+  const [leftMenuId, setLeftMenuId] = useState(menuOptions[0]?.value || "");
+  const [rightMenuId, setRightMenuId] = useState(menuOptions[1]?.value || menuOptions[0]?.value || "");
+  const [compareWith, setCompareWith] = useState(["menu"]);
+  const [file, setFile] = useState(null);
+
+  const handleDrop = useCallback((_dropFiles, acceptedFiles) => setFile(acceptedFiles?.[0] || null), []);
+
+  // DropZone keeps the file in state rather than in a named input, so add it to the submission here
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    formData.set("compareWith", compareWith[0]);
+    if (compareWith[0] === "file" && file) formData.set("menuFile", file);
+    submit(formData, { method: "post", encType: "multipart/form-data" });
+  }, [compareWith, file, submit]);
+
+  const canCompare = leftMenuId && (compareWith[0] === "file" ? file : rightMenuId);
+
+  return (
+    <Page>
+      <TitleBar title="Compare menus" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <RemixForm method="post" encType="multipart/form-data" onSubmit={handleSubmit}>
+              <FormLayout>
+                {loaderErrors && (<Banner title="Error loading menus" tone="critical">{loaderErrors.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>)}
+                <Select label="Menu" options={menuOptions} value={leftMenuId} onChange={setLeftMenuId} name="leftMenuId" disabled={isComparing} />
+                <ChoiceList
+                  title="Compare with"
+                  choices={[{ label: "Another menu", value: "menu" }, { label: "An export file (JSON or CSV)", value: "file" }]}
+                  selected={compareWith}
+                  onChange={setCompareWith}
+                  disabled={isComparing}
+                />
+                {compareWith[0] === "menu" ? (
+                  <Select label="Other menu" options={menuOptions} value={rightMenuId} onChange={setRightMenuId} name="rightMenuId" disabled={isComparing} />
+                ) : (
+                  <DropZone label="Export file" allowMultiple={false} accept=".json,.csv" onDrop={handleDrop} disabled={isComparing}>
+                    {file ? <Box padding="300"><Text as="p">{file.name}</Text></Box> : <DropZone.FileUpload actionHint="or drop a file to compare" />}
+                  </DropZone>
+                )}
+                <Button variant="primary" submit loading={isComparing} disabled={!canCompare}>Compare</Button>
+              </FormLayout>
+            </RemixForm>
+          </Card>
+        </Layout.Section>
+
+        {actionData?.errors && !actionData.success && (
+          <Layout.Section>
+            <Banner title="Could not compare" tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</BlockStack></Banner>
+          </Layout.Section>
+        )}
+
+        {actionData?.success && (
+          <>
+            <Layout.Section>
+              <InlineStack gap="200">
+                <Badge tone="success">{`${actionData.summary.added} added`}</Badge>
+                <Badge tone="critical">{`${actionData.summary.removed} removed`}</Badge>
+                <Badge tone="attention">{`${actionData.summary.moved} moved`}</Badge>
+                <Badge tone="warning">{`${actionData.summary.changed} changed`}</Badge>
+                <Badge>{`${actionData.summary.unchanged} unchanged`}</Badge>
+              </InlineStack>
+            </Layout.Section>
+            <Layout.Section variant="oneHalf">
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">{actionData.leftLabel}</Text>
+                  {actionData.left.length > 0 ? <DiffTree items={actionData.left} /> : <Text as="p" tone="subdued">No items.</Text>}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+            <Layout.Section variant="oneHalf">
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">{actionData.rightLabel}</Text>
+                  {actionData.right.length > 0 ? <DiffTree items={actionData.right} /> : <Text as="p" tone="subdued">No items.</Text>}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -1,58 +1,30 @@
 // app/routes/app.export-menu[.json].js
 import { json } from "@remix-run/node";
-import { authenticate } from "../shopify.server";
+import { apiVersion } from "../shopify.server";
+import { authenticateAdmin } from "../admin-graphql.server";
+import { buildMenuBundle, buildMenuExport } from "../menu-export.server";
+import { buildExportDocument } from "../menu-export-schema";
+import { withAuditLog } from "../audit-log.server";
 
-const GET_MENU_DETAILS_QUERY = `
-  query getMenu($id: ID!) {
-    menu(id: $id) {
-      handle
-      title
-      items {
-        title
-        url
-        type
-        resourceId
-        items {
-          title
-          url
-          type
-          resourceId
-          items {
-            title
-            url
-            type
-            resourceId
-          }
-        }
-      }
-    }
-  }
-`;
-
-function prepareMenuItemsForCreate(items) {
-  if (!items || items.length === 0) return [];
-  return items.map((item) => {
-    const newItem = {
-      title: item.title,
-      url: item.url,
-      type: item.type,
-    };
-    if (item.resourceId) {
-      newItem.resourceId = item.resourceId;
-    }
-    if (item.items && item.items.length > 0) {
-      newItem.items = prepareMenuItemsForCreate(item.items);
-    }
-    return newItem;
-  });
+function describeExport({ searchParams, body }) {
+  const exportAll = searchParams.get("all") === "true";
+  return {
+    action: exportAll ? "exportAllMenus" : "exportMenu",
+    sourceMenuId: exportAll ? null : searchParams.get("menuId"),
+    success: !body.error,
+    userErrors: body.error ? [{ message: typeof body.details === "string" ? `${body.error}: ${body.details}` : body.error }] : null,
+    message: exportAll && !body.error ? `Exported ${body.menus.length} menu(s), skipped ${body.skipped.length}.` : null,
+  };
 }
 
-export async function loader({ request }) {
+async function handleLoader({ request }) {
   console.log("EXPORT DATA LOADER: Request received:", request.url);
   let admin;
+  let shop;
   try {
-    const authResult = await authenticate.admin(request);
+    const authResult = await authenticateAdmin(request);
     admin = authResult.admin; // Assuming admin is a property on the result of authenticate.admin
+    shop = authResult.session?.shop;
     if (!admin || typeof admin.graphql !== 'function') {
       console.error("EXPORT DATA LOADER: Admin context error. Admin object or graphql method is missing.");
       return json({ error: "Admin context error", details: "Admin object or graphql method is missing." }, { status: 500 });
@@ -66,37 +38,30 @@ export async function loader({ request }) {
 
   const url = new URL(request.url);
   const menuId = url.searchParams.get("menuId");
-  console.log("EXPORT DATA LOADER: menuId:", menuId);
+  const exportAll = url.searchParams.get("all") === "true";
+  console.log("EXPORT DATA LOADER: menuId:", menuId, "all:", exportAll);
 
-  if (!menuId) {
+  if (!menuId && !exportAll) {
     console.error("EXPORT DATA LOADER: Missing menuId.");
     return json({ error: "Missing menuId parameter" }, { status: 400 });
   }
 
   try {
-    console.log("EXPORT DATA LOADER: Fetching menu details for ID:", menuId);
-    const response = await admin.graphql(GET_MENU_DETAILS_QUERY, {
-      variables: { id: menuId },
-    });
-    const responseJson = await response.json();
-
-    if (responseJson.errors || !responseJson.data?.menu) {
-      console.error("EXPORT DATA LOADER: GQL Error or no menu data:", responseJson.errors);
-      return json({ error: "Failed to fetch menu details", details: responseJson.errors || "No menu data found." }, { status: 500 });
+    console.log(exportAll ? "EXPORT DATA LOADER: Building bundle of all menus." : `EXPORT DATA LOADER: Fetching menu details for ID: ${menuId}`);
+    // Every export records where it came from and which schema version it follows
+    const source = { shop, apiVersion };
+    const result = exportAll ? await buildMenuBundle(admin, source) : await buildMenuExport(admin, menuId);
+    if (result.error) {
+      return json({ error: result.error, details: result.details }, { status: result.status });
     }
-
-    const menuData = responseJson.data.menu;
-    const exportPayload = {
-      originalHandle: menuData.handle,
-      originalTitle: menuData.title,
-      items: prepareMenuItemsForCreate(menuData.items), // Ensure this function is robust
-    };
     console.log("EXPORT DATA LOADER: Returning menu data for client-side download.");
-    return json(exportPayload); // Return the data as JSON
+    return json(exportAll ? result.payload : buildExportDocument({ ...source, ...result.payload })); // Return the data as JSON
 
   } catch (error) {
     console.error("EXPORT DATA LOADER: Error processing export:", error);
     if (error instanceof Response) throw error;
     return json({ error: "Unexpected error during export data preparation", details: error.message }, { status: 500 });
   }
-}
\ No newline at end of file
+}
+
+export const loader = withAuditLog(handleLoader, describeExport);
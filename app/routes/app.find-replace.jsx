@@ -0,0 +1,296 @@
+// app/routes/app.find-replace.jsx
+
+import { createHash } from "node:crypto";
+import { useState } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  TextField,
+  Checkbox,
+  ChoiceList,
+  DataTable,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import { fetchMenuTree, prepareMenuItemsForCreate, prepareMenuItemsForUpdate, truncationErrors } from "../menu-tree.server";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "../models/MenuSnapshot.server";
+import { formatItemPath, indexMenuItemsById, validateMenuItems } from "../menu-validation";
+import { FIND_REPLACE_FIELDS, MAX_SEARCH_PATTERN_LENGTH, buildSearchPattern, changeSetKey, findAndReplaceInItems, searchOptionsKey } from "../menu-find-replace";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+const UPDATE_MENU_MUTATION = `
+  mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const ALL_MENUS = "all";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const { menus, errors } = await fetchAllMenus(admin);
+  return Response.json({ menus, errors });
+};
+
+function readSearchOptions(formData) {
+  const fields = formData.getAll("fields").map(String).filter((field) => FIND_REPLACE_FIELDS.includes(field));
+  return {
+    scope: formData.get("scope")?.toString() || ALL_MENUS,
+    search: formData.get("search")?.toString() || "",
+    replacement: formData.get("replacement")?.toString() || "",
+    useRegex: formData.get("useRegex") === "true",
+    caseSensitive: formData.get("caseSensitive") === "true",
+    fields: fields.length > 0 ? fields : FIND_REPLACE_FIELDS,
+  };
+}
+
+// Runs the search over the chosen menus and returns only menus with matches
+async function findMatches(admin, options, pattern) {
+  let menuIds = [options.scope];
+  if (options.scope === ALL_MENUS) {
+    const { menus, errors } = await fetchAllMenus(admin);
+    if (errors) return { results: [], errors };
+    menuIds = menus.map((menu) => menu.id);
+  }
+
+  const results = [];
+  for (const menuId of menuIds) {
+    const { menu, truncated, errors } = await fetchMenuTree(admin, menuId, { withItemIds: true });
+    if (errors || !menu) return { results, errors: errors || [{ message: `Menu ${menuId} not found.` }] };
+    const { items, changes } = findAndReplaceInItems(menu.items, { pattern, replacement: options.replacement, useRegex: options.useRegex, fields: options.fields });
+    if (changes.length === 0) continue;
+    results.push({ menu, items, changes, truncated });
+  }
+  return { results, errors: null };
+}
+
+const hashChangeSet = (results) => createHash("sha256").update(changeSetKey(results)).digest("hex");
+
+const handleAction = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("_action");
+  const options = readSearchOptions(formData);
+
+  // Apply only writes what was previewed; changed inputs need a new preview
+  if (intent === "apply" && formData.get("previewKey") !== searchOptionsKey(options)) {
+    return Response.json({ intent, success: false, errors: [{ message: "The search changed since the preview. Preview the matches again before applying." }] });
+  }
+
+  const { pattern, error: patternError } = buildSearchPattern(options);
+  if (patternError) {
+    return Response.json({ intent, success: false, errors: [{ field: ["search"], message: patternError }] });
+  }
+
+  try {
+    const { results, errors } = await findMatches(admin, options, pattern);
+    if (errors) {
+      return Response.json({ intent, success: false, errors });
+    }
+    // The menus may have been edited since the preview; never write changes the merchant did not see
+    if (intent === "apply" && formData.get("changesKey") !== hashChangeSet(results)) {
+      return Response.json({ intent, success: false, errors: [{ message: "The menus changed since the preview. Preview the matches again before applying." }] });
+    }
+
+    if (intent === "preview") {
+      return Response.json({
+        intent,
+        success: true,
+        previewKey: searchOptionsKey(options),
+        changesKey: hashChangeSet(results),
+        menus: results.map(({ menu, changes, items, truncated }) => ({
+          id: menu.id,
+          title: menu.title,
+          handle: menu.handle,
+          changes,
+          problems: [
+            ...truncationErrors(truncated).map((error) => error.message),
+            ...validateMenuItems(items, { originalItems: indexMenuItemsById(menu.items) }).map((problem) => `${formatItemPath(problem.path)}: ${problem.message}`),
+          ],
+        })),
+      });
+    }
+
+    // Apply: each menu is written separately and reported on its own
+    const summary = [];
+    for (const { menu, items, changes, truncated } of results) {
+      const entry = { id: menu.id, title: menu.title, handle: menu.handle, changeCount: changes.length };
+      const problems = [
+        ...truncationErrors(truncated).map((error) => error.message),
+        ...validateMenuItems(items, { originalItems: indexMenuItemsById(menu.items) }).map((problem) => `${formatItemPath(problem.path)}: ${problem.message}`),
+      ];
+      if (problems.length > 0) {
+        summary.push({ ...entry, success: false, errors: problems });
+        continue;
+      }
+      try {
+        await createMenuSnapshot({ shop: session.shop, menu, items: prepareMenuItemsForCreate(menu.items), reason: SNAPSHOT_REASONS.beforeFindReplace });
+        const updateResponse = await admin.graphql(UPDATE_MENU_MUTATION, {
+          variables: { id: menu.id, title: menu.title, handle: menu.handle, items: prepareMenuItemsForUpdate(items) },
+        });
+        const updateJson = await updateResponse.json();
+        const userErrors = updateJson.data?.menuUpdate?.userErrors || [];
+        if (userErrors.length > 0 || updateJson.errors || !updateJson.data?.menuUpdate?.menu) {
+          summary.push({ ...entry, success: false, errors: (userErrors.length > 0 ? userErrors : updateJson.errors || [{ message: "Failed to update menu." }]).map((e) => e.message) });
+          continue;
+        }
+        summary.push({ ...entry, success: true });
+      } catch (error) {
+        console.error(`Error applying find and replace to ${menu.handle}:`, error);
+        summary.push({ ...entry, success: false, errors: [error.message || "An unexpected error occurred."] });
+      }
+    }
+    return Response.json({ intent, success: summary.every((entry) => entry.success), summary });
+  } catch (error) {
+    console.error("Error in find and replace action:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ intent, success: false, errors: [{ message: error.message || "An unexpected error occurred." }] });
+  }
+};
+
+// Applying writes one entry per menu; previews are not logged
+export const action = withAuditLog(handleAction, ({ body }) => {
+  if (body.intent !== "apply") return null;
+  if (!body.summary) return { action: "findReplace", ...responseOutcome(body) };
+  return body.summary.map((entry) => ({
+    action: "findReplace",
+    targetMenuId: entry.id,
+    success: entry.success,
+    userErrors: entry.errors?.map((message) => ({ message })),
+    message: `${entry.changeCount} change(s).`,
+  }));
+});
+
+export default function FindReplace() {
+  const { menus, errors: loaderErrors } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const busyIntent = navigation.state === "submitting" ? navigation.formData?.get("_action") : null;
+
+  const [scope, setScope] = useState(ALL_MENUS);
+  const [search, setSearch] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [useRegex, setUseRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [fields, setFields] = useState(FIND_REPLACE_FIELDS);
+
+  const scopeOptions = [{ label: "All menus", value: ALL_MENUS }, ...(menus || []).map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id }))];
+  const searchError = actionData?.errors?.find((error) => error.field?.includes("search"))?.message;
+  // A preview only stands for the inputs it was made with
+  const isPreviewCurrent = actionData?.previewKey === searchOptionsKey({ scope, search, replacement, useRegex, caseSensitive, fields });
+  const previewMenus = actionData?.intent === "preview" && actionData.success && isPreviewCurrent ? actionData.menus : null;
+  const totalChanges = previewMenus?.reduce((count, menu) => count + menu.changes.length, 0) || 0;
+  const hasBlockingProblems = previewMenus?.some((menu) => menu.problems.length > 0);
+
+  return (
+    <Page>
+      <TitleBar title="Find and replace" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <RemixForm method="post">
+              <input type="hidden" name="useRegex" value={String(useRegex)} />
+              <input type="hidden" name="caseSensitive" value={String(caseSensitive)} />
+              {fields.map((field) => (<input key={field} type="hidden" name="fields" value={field} />))}
+              {previewMenus && <input type="hidden" name="previewKey" value={actionData.previewKey} />}
+              {previewMenus && <input type="hidden" name="changesKey" value={actionData.changesKey} />}
+              <FormLayout>
+                {loaderErrors && (<Banner title="Error loading menus" tone="critical">{loaderErrors.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>)}
+                <Select label="Search in" options={scopeOptions} value={scope} onChange={setScope} name="scope" />
+                <FormLayout.Group>
+                  <TextField label="Find" value={search} onChange={setSearch} name="search" autoComplete="off" maxLength={MAX_SEARCH_PATTERN_LENGTH} error={searchError} placeholder={useRegex ? "e.g. ^https://old-domain\\.com" : "e.g. old-domain.com"} />
+                  <TextField label="Replace with" value={replacement} onChange={setReplacement} name="replacement" autoComplete="off" helpText={useRegex ? "Use $1, $2 for captured groups." : undefined} />
+                </FormLayout.Group>
+                <InlineStack gap="400">
+                  <Checkbox label="Regular expression" checked={useRegex} onChange={setUseRegex} />
+                  <Checkbox label="Match case" checked={caseSensitive} onChange={setCaseSensitive} />
+                </InlineStack>
+                <ChoiceList
+                  allowMultiple
+                  title="Fields"
+                  choices={[{ label: "Titles", value: "title" }, { label: "URLs (web address links only)", value: "url" }]}
+                  selected={fields}
+                  onChange={setFields}
+                />
+                <InlineStack gap="200">
+                  <Button submit name="_action" value="preview" loading={busyIntent === "preview"} disabled={!search || fields.length === 0}>Preview matches</Button>
+                  {previewMenus && totalChanges > 0 && (
+                    <Button variant="primary" submit name="_action" value="apply" loading={busyIntent === "apply"} disabled={hasBlockingProblems}>
+                      {`Apply ${totalChanges} change(s) to ${previewMenus.length} menu(s)`}
+                    </Button>
+                  )}
+                </InlineStack>
+              </FormLayout>
+            </RemixForm>
+          </Card>
+        </Layout.Section>
+
+        {actionData?.errors && !actionData.success && !searchError && (
+          <Layout.Section>
+            <Banner title="Find and replace failed" tone="critical">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</Banner>
+          </Layout.Section>
+        )}
+
+        {previewMenus && (
+          <Layout.Section>
+            <BlockStack gap="400">
+              {previewMenus.length === 0 && (<Banner tone="info" title="No matches"><p>Nothing matched your search.</p></Banner>)}
+              {previewMenus.map((menu) => (
+                <Card key={menu.id}>
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">{menu.title} ({menu.handle}): {menu.changes.length} change(s)</Text>
+                    {menu.problems.length > 0 && (<Banner tone="critical" title="This menu cannot be updated">{menu.problems.map((problem, index) => (<Text as="p" key={index}>{problem}</Text>))}</Banner>)}
+                    <DataTable
+                      columnContentTypes={["text", "text", "text", "text"]}
+                      headings={["Item", "Field", "Before", "After"]}
+                      rows={menu.changes.map((change) => [`${change.location} (${change.itemTitle})`, change.field, change.before, change.after])}
+                    />
+                  </BlockStack>
+                </Card>
+              ))}
+            </BlockStack>
+          </Layout.Section>
+        )}
+
+        {actionData?.intent === "apply" && actionData.summary && (
+          <Layout.Section>
+            <BlockStack gap="200">
+              {actionData.summary.length === 0 && (<Banner tone="info" title="Nothing to change"><p>No menus matched when the changes were applied.</p></Banner>)}
+              {actionData.summary.map((entry) => (
+                <Banner key={entry.id} tone={entry.success ? "success" : "critical"} title={`${entry.title} (${entry.handle}): ${entry.success ? `${entry.changeCount} change(s) applied` : "not updated"}`}>
+                  {entry.errors?.map((error, index) => (<Text as="p" key={index}>{error}</Text>))}
+                </Banner>
+              ))}
+            </BlockStack>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,205 @@
+// app/routes/app.generate.jsx
+
+import { useState } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  TextField,
+  List,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { generateMenuItems } from "../menu-generator.server";
+import { COLLECTION_GROUPINGS, GENERATOR_SORTS, GENERATOR_SOURCES, MAX_GENERATED_ARTICLES, MAX_GENERATED_ITEMS } from "../menu-generator";
+import { prepareMenuItemsForCreate } from "../menu-tree.server";
+import { resolveMenuHandle } from "../menu-handle.server";
+import { countMenuItems, formatItemPath, getMenuDepth, validateMenuItems } from "../menu-validation";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "../models/MenuSnapshot.server";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+const CREATE_MENU_MUTATION = `
+  mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
+    menuCreate(title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const toOptions = (labels) => Object.entries(labels).map(([value, label]) => ({ label, value }));
+
+function readGeneratorOptions(formData) {
+  return {
+    source: formData.get("source")?.toString(),
+    groupBy: formData.get("groupBy")?.toString() || "none",
+    metafieldKey: formData.get("metafieldKey")?.toString() || "",
+    sort: formData.get("sort")?.toString() || "titleAsc",
+    articleCount: formData.get("articleCount")?.toString() || "0",
+    parentTitle: formData.get("parentTitle")?.toString() || "",
+  };
+}
+
+const handleAction = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionName = formData.get("_action");
+  const newMenuTitle = formData.get("newMenuTitle")?.toString().trim();
+
+  if (actionName === "createGeneratedMenu" && !newMenuTitle) {
+    return Response.json({ actionName, success: false, errors: [{ field: ["newMenuTitle"], message: "New menu title is required." }] });
+  }
+
+  try {
+    const { items, truncatedCount, errors } = await generateMenuItems(admin, readGeneratorOptions(formData));
+    if (errors) {
+      return Response.json({ actionName, success: false, errors });
+    }
+    const problems = validateMenuItems(items).map((problem) => ({ field: ["items"], message: `${formatItemPath(problem.path)}: ${problem.message}` }));
+
+    if (actionName === "previewGeneratedMenu") {
+      return Response.json({ actionName, success: true, preview: { items, itemCount: countMenuItems(items), depth: getMenuDepth(items), truncatedCount, problems } });
+    }
+    if (problems.length > 0) {
+      return Response.json({ actionName, success: false, errors: problems });
+    }
+
+    const preparedItems = prepareMenuItemsForCreate(items);
+    const { handle: newMenuHandle, errors: handleErrors } = await resolveMenuHandle(admin, { title: newMenuTitle });
+    if (handleErrors) {
+      return Response.json({ actionName, success: false, errors: handleErrors });
+    }
+    const createResponse = await admin.graphql(CREATE_MENU_MUTATION, { variables: { title: newMenuTitle, handle: newMenuHandle, items: preparedItems } });
+    const createResponseJson = await createResponse.json();
+    if (createResponseJson.data?.menuCreate?.userErrors?.length) {
+      return Response.json({ actionName, success: false, errors: createResponseJson.data.menuCreate.userErrors });
+    }
+    if (createResponseJson.errors || !createResponseJson.data?.menuCreate?.menu) {
+      return Response.json({ actionName, success: false, errors: createResponseJson.errors || [{ message: "Failed to create generated menu." }] });
+    }
+    const createdMenu = createResponseJson.data.menuCreate.menu;
+    await createMenuSnapshot({ shop: session.shop, menu: createdMenu, items: preparedItems, reason: SNAPSHOT_REASONS.generate });
+    return Response.json({ actionName, success: true, createdMenu, message: `Menu "${createdMenu.title}" generated with ${countMenuItems(items)} items. Handle: ${createdMenu.handle}` });
+  } catch (error) {
+    console.error("Error generating menu:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ actionName, success: false, errors: [{ message: error.message || "An unexpected error occurred while generating the menu." }] });
+  }
+};
+
+export const action = withAuditLog(handleAction, ({ body }) => (
+  body.actionName === "createGeneratedMenu" ? { action: "createGeneratedMenu", targetMenuId: body.createdMenu?.id, ...responseOutcome(body) } : null
+));
+
+function GeneratedTree({ items }) {
+  return (
+    <List type="bullet">
+      {items.map((item, index) => (
+        <List.Item key={index}>
+          <Text as="span" fontWeight="semibold">{item.title}</Text>{" "}
+          <Text as="span" variant="bodySm" tone="subdued">{item.type} {item.url || ""}</Text>
+          {item.items?.length > 0 && <GeneratedTree items={item.items} />}
+        </List.Item>
+      ))}
+    </List>
+  );
+}
+
+export default function GenerateMenu() {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submittingAction = navigation.state === "submitting" ? navigation.formData?.get("_action") : null;
+
+  const [source, setSource] = useState("collections");
+  const [groupBy, setGroupBy] = useState("none");
+  const [metafieldKey, setMetafieldKey] = useState("");
+  const [sort, setSort] = useState("titleAsc");
+  const [articleCount, setArticleCount] = useState("3");
+  const [parentTitle, setParentTitle] = useState("");
+  const [newMenuTitle, setNewMenuTitle] = useState("");
+
+  const preview = actionData?.actionName === "previewGeneratedMenu" && actionData.success ? actionData.preview : null;
+  const fieldError = (field) => (actionData && !actionData.success ? actionData.errors?.find((error) => error.field?.includes(field))?.message : undefined);
+  const generalErrors = actionData && !actionData.success
+    ? actionData.errors?.filter((error) => !error.field?.includes("newMenuTitle") && !error.field?.includes("metafieldKey"))
+    : null;
+
+  return (
+    <Page>
+      <TitleBar title="Generate a menu" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.success && actionData.createdMenu && (<Banner title="Menu generated" tone="success"><p>{actionData.message}</p></Banner>)}
+            {generalErrors?.length > 0 && (<Banner title="Could not generate the menu" tone="critical"><BlockStack gap="100">{generalErrors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</BlockStack></Banner>)}
+            <Card>
+              <RemixForm method="post">
+                <FormLayout>
+                  <Text as="p" tone="subdued">Builds a new menu from your store data. Preview the result, then create it.</Text>
+                  <Select label="Build from" options={toOptions(GENERATOR_SOURCES)} value={source} onChange={setSource} name="source" />
+                  {source === "collections" && (
+                    <FormLayout.Group>
+                      <Select label="Group collections by" options={toOptions(COLLECTION_GROUPINGS)} value={groupBy} onChange={setGroupBy} name="groupBy" />
+                      {groupBy === "metafield" && (
+                        <TextField label="Metafield" name="metafieldKey" value={metafieldKey} onChange={setMetafieldKey} autoComplete="off" placeholder="custom.menu_group" error={fieldError("metafieldKey")} />
+                      )}
+                    </FormLayout.Group>
+                  )}
+                  {source === "blogs" && (
+                    <TextField label="Latest articles per blog" type="number" min={0} max={MAX_GENERATED_ARTICLES} name="articleCount" value={articleCount} onChange={setArticleCount} autoComplete="off" helpText="Articles are nested under their blog. Use 0 for blogs only." />
+                  )}
+                  <FormLayout.Group>
+                    <Select label="Order" options={toOptions(GENERATOR_SORTS)} value={sort} onChange={setSort} name="sort" helpText={source === "collections" ? "For collections, newest means most recently updated." : undefined} />
+                    <TextField label="Nest everything under" name="parentTitle" value={parentTitle} onChange={setParentTitle} autoComplete="off" placeholder="e.g. Shop" helpText="Optional heading item for the whole menu." />
+                  </FormLayout.Group>
+                  <TextField label="New menu title" name="newMenuTitle" value={newMenuTitle} onChange={setNewMenuTitle} autoComplete="off" error={fieldError("newMenuTitle")} />
+                  <InlineStack gap="200">
+                    <Button submit name="_action" value="previewGeneratedMenu" loading={submittingAction === "previewGeneratedMenu"}>Preview</Button>
+                    <Button variant="primary" submit name="_action" value="createGeneratedMenu" loading={submittingAction === "createGeneratedMenu"} disabled={!newMenuTitle.trim() || preview?.problems.length > 0}>Create menu</Button>
+                  </InlineStack>
+                </FormLayout>
+              </RemixForm>
+            </Card>
+            {preview && (
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">{`Preview: ${preview.itemCount} items, ${preview.depth} level(s) deep`}</Text>
+                  {preview.truncatedCount > 0 && (
+                    <Banner title="Some items were left out" tone="warning"><p>{`Generated menus hold at most ${MAX_GENERATED_ITEMS} items in total, so the last ${preview.truncatedCount} in this order were left out.`}</p></Banner>
+                  )}
+                  {preview.problems.length > 0 && (
+                    <Banner title="This menu cannot be created as is" tone="critical">{preview.problems.map((problem, index) => (<Text as="p" key={index}>{problem.message}</Text>))}</Banner>
+                  )}
+                  <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+                    <GeneratedTree items={preview.items} />
+                  </Box>
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,254 @@
+// app/routes/app.history.jsx
+
+import { useCallback } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  Button,
+  Select,
+  IndexTable,
+  Badge,
+  EmptyState,
+  InlineStack,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  createMenuSnapshot,
+  getMenuSnapshot,
+  getMenuSnapshots,
+  getSnapshotMenus,
+  SNAPSHOT_REASONS,
+} from "../models/MenuSnapshot.server";
+import { fetchMenuTree, prepareMenuItemsForCreate, truncationErrors } from "../menu-tree.server";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+const UPDATE_MENU_MUTATION = `
+  mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const CREATE_MENU_MUTATION = `
+  mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
+    menuCreate(title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const menuId = url.searchParams.get("menuId") || "";
+
+  const after = url.searchParams.get("after");
+  const before = url.searchParams.get("before");
+
+  const [{ snapshots, pageInfo }, snapshotMenus] = await Promise.all([
+    getMenuSnapshots(session.shop, { menuId, after, before }),
+    getSnapshotMenus(session.shop),
+  ]);
+  const menuOptions = snapshotMenus.map((menu) => ({ label: `${menu.menuTitle} (${menu.menuHandle})`, value: menu.menuId }));
+
+  return Response.json({ snapshots, pageInfo, menuOptions, menuId });
+};
+
+const handleAction = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const snapshotId = formData.get("snapshotId")?.toString();
+
+  if (!snapshotId) {
+    return Response.json({ success: false, errors: [{ message: "A snapshot is required." }] });
+  }
+
+  const snapshot = await getMenuSnapshot(snapshotId, session.shop);
+  if (!snapshot) {
+    return Response.json({ success: false, errors: [{ message: "Snapshot not found." }] });
+  }
+
+  try {
+    const { menu: currentMenu, truncated, errors } = await fetchMenuTree(admin, snapshot.menuId);
+    if (errors) {
+      return Response.json({ success: false, errors });
+    }
+    // The current state is snapshotted before the restore, so it must be complete
+    if (truncated.length > 0) {
+      return Response.json({ success: false, errors: truncationErrors(truncated) });
+    }
+
+    let restoredMenu;
+    if (currentMenu) {
+      // Keep the state we are about to overwrite, so the restore can itself be undone
+      await createMenuSnapshot({
+        shop: session.shop,
+        menu: currentMenu,
+        items: prepareMenuItemsForCreate(currentMenu.items),
+        reason: SNAPSHOT_REASONS.beforeRestore,
+      });
+      const updateResponse = await admin.graphql(UPDATE_MENU_MUTATION, {
+        variables: { id: currentMenu.id, title: snapshot.menuTitle, handle: currentMenu.handle, items: snapshot.items },
+      });
+      const updateJson = await updateResponse.json();
+      if (updateJson.data?.menuUpdate?.userErrors?.length) {
+        return Response.json({ success: false, errors: updateJson.data.menuUpdate.userErrors });
+      }
+      if (updateJson.errors || !updateJson.data?.menuUpdate?.menu) {
+        return Response.json({ success: false, errors: updateJson.errors || [{ message: "Failed to restore menu." }] });
+      }
+      restoredMenu = updateJson.data.menuUpdate.menu;
+    } else {
+      // The menu was deleted since the snapshot was taken, so recreate it
+      const createResponse = await admin.graphql(CREATE_MENU_MUTATION, {
+        variables: { title: snapshot.menuTitle, handle: snapshot.menuHandle, items: snapshot.items },
+      });
+      const createJson = await createResponse.json();
+      if (createJson.data?.menuCreate?.userErrors?.length) {
+        return Response.json({ success: false, errors: createJson.data.menuCreate.userErrors });
+      }
+      if (createJson.errors || !createJson.data?.menuCreate?.menu) {
+        return Response.json({ success: false, errors: createJson.errors || [{ message: "Failed to recreate menu." }] });
+      }
+      restoredMenu = createJson.data.menuCreate.menu;
+    }
+
+    await createMenuSnapshot({
+      shop: session.shop,
+      menu: restoredMenu,
+      items: snapshot.items,
+      reason: SNAPSHOT_REASONS.restore,
+    });
+    return Response.json({ success: true, restoredMenu, message: `Menu "${restoredMenu.title}" restored to the snapshot from ${new Date(snapshot.createdAt).toLocaleString()}.` });
+  } catch (error) {
+    console.error("Error restoring menu snapshot:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ success: false, errors: [{ message: error.message || "An unexpected error occurred during restore." }] });
+  }
+};
+
+// A deleted menu is recreated with a new ID, so the restored menu is preferred over the snapshot's
+export const action = withAuditLog(handleAction, async ({ formData, body, shop }) => {
+  const snapshot = await getMenuSnapshot(formData.get("snapshotId")?.toString(), shop);
+  return {
+    action: "restoreSnapshot",
+    targetMenuId: body.restoredMenu?.id || snapshot?.menuId,
+    ...responseOutcome(body),
+  };
+});
+
+export default function MenuHistory() {
+  const { snapshots, pageInfo, menuOptions, menuId } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const restoringSnapshotId = navigation.state === "submitting" ? navigation.formData?.get("snapshotId") : null;
+
+  const handleMenuFilterChange = useCallback((value) => {
+    setSearchParams(value ? { menuId: value } : {});
+  }, [setSearchParams]);
+
+  const rowMarkup = snapshots.map((snapshot, index) => (
+    <IndexTable.Row id={snapshot.id} key={snapshot.id} position={index}>
+      <IndexTable.Cell>{new Date(snapshot.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" fontWeight="semibold">{snapshot.menuTitle}</Text>
+        <Text as="p" variant="bodySm" tone="subdued">{snapshot.menuHandle}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell><Badge>{snapshot.reason}</Badge></IndexTable.Cell>
+      <IndexTable.Cell>{snapshot.itemCount}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <RemixForm method="post">
+          <input type="hidden" name="snapshotId" value={snapshot.id} />
+          <Button submit size="slim" loading={restoringSnapshotId === snapshot.id} disabled={Boolean(restoringSnapshotId)}>
+            Restore
+          </Button>
+        </RemixForm>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Menu history" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.success && (<Banner title="Menu restored" tone="success"><p>{actionData.message}</p></Banner>)}
+            {actionData?.errors && !actionData.success && (<Banner title="Error Restoring Menu" tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.field ? `Field: ${error.field.join(", ")} - ` : ""}{error.message}</Text>))}</BlockStack></Banner>)}
+            <Card>
+              <BlockStack gap="300">
+                <Select
+                  label="Menu"
+                  options={[{ label: "All menus", value: "" }, ...menuOptions]}
+                  value={menuId}
+                  onChange={handleMenuFilterChange}
+                />
+                {snapshots.length > 0 ? (
+                  <IndexTable
+                    resourceName={{ singular: "snapshot", plural: "snapshots" }}
+                    itemCount={snapshots.length}
+                    selectable={false}
+                    headings={[{ title: "Saved at" }, { title: "Menu" }, { title: "Reason" }, { title: "Items" }, { title: "" }]}
+                  >
+                    {rowMarkup}
+                  </IndexTable>
+                ) : (
+                  <Box paddingBlock="400">
+                    <EmptyState heading="No snapshots yet" image="">
+                      <p>Snapshots are saved every time a menu is duplicated, imported, edited or restored.</p>
+                    </EmptyState>
+                  </Box>
+                )}
+                {(pageInfo.hasPreviousPage || pageInfo.hasNextPage) && (
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={pageInfo.hasPreviousPage}
+                      onPrevious={() => { const params = new URLSearchParams(searchParams); params.delete("after"); params.set("before", pageInfo.startCursor); setSearchParams(params); }}
+                      hasNext={pageInfo.hasNextPage}
+                      onNext={() => { const params = new URLSearchParams(searchParams); params.delete("before"); params.set("after", pageInfo.endCursor); setSearchParams(params); }}
+                    />
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
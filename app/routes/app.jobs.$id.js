@@ -0,0 +1,29 @@
+// app/routes/app.jobs.$id.js
+// Status of a background menu job, polled by the progress UI. Posting retries a failed job.
+import { authenticate } from "../shopify.server";
+import { getMenuJob } from "../models/MenuJob.server";
+import { retryMenuJob, toJobStatus } from "../menu-jobs.server";
+import { staffFromAuth } from "../audit-log.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await getMenuJob(params.id, session.shop);
+  if (!job) {
+    return Response.json({ job: null, errors: [{ message: "Job not found." }] }, { status: 404 });
+  }
+  return Response.json({ job: toJobStatus(job), errors: null });
+};
+
+export const action = async ({ request, params }) => {
+  const auth = await authenticate.admin(request);
+  try {
+    const { job, errors } = await retryMenuJob(params.id, auth.session.shop, staffFromAuth(auth));
+    if (errors) {
+      return Response.json({ actionName: "retryJob", success: false, errors });
+    }
+    return Response.json({ actionName: "retryJob", success: true, job: toJobStatus(job) });
+  } catch (error) {
+    console.error(`Error retrying job ${params.id}:`, error);
+    return Response.json({ actionName: "retryJob", success: false, errors: [{ message: error.message || "The job could not be retried." }] });
+  }
+};
@@ -22,6 +22,16 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/diff">Compare menus</Link>
+        <Link to="/app/find-replace">Find and replace</Link>
+        <Link to="/app/link-checker">Link checker</Link>
+        <Link to="/app/schedules">Scheduled swaps</Link>
+        <Link to="/app/generate">Generate menu</Link>
+        <Link to="/app/templates">Templates</Link>
+        <Link to="/app/translations">Translations</Link>
+        <Link to="/app/audit">Audit log</Link>
+        <Link to="/app/api-tokens">API tokens</Link>
+        <Link to="/app/history">Menu history</Link>
         <Link to="/app/additional">Additional page</Link>
       </NavMenu>
       <Outlet />
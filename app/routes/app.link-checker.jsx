@@ -0,0 +1,297 @@
+// app/routes/app.link-checker.jsx
+
+import { useState } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  TextField,
+  Badge,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import { fetchMenuTree, prepareMenuItemsForCreate, prepareMenuItemsForUpdate, truncationErrors } from "../menu-tree.server";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "../models/MenuSnapshot.server";
+import { validateMenuItems } from "../menu-validation";
+import { resolveResourceHandle } from "../resource-remap.server";
+import { LINK_FIXES, LINK_PROBLEMS } from "../link-checker";
+import { applyLinkFix, scanMenuLinks } from "../link-checker.server";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+const UPDATE_MENU_MUTATION = `
+  mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const ALL_MENUS = "all";
+
+const findItem = (list, itemId) => (list || []).reduce((found, item) => found || (item.id === itemId ? item : findItem(item.items, itemId)), null);
+
+const PROBLEM_BADGES = {
+  [LINK_PROBLEMS.deleted]: { tone: "critical", label: "Deleted resource" },
+  [LINK_PROBLEMS.unpublished]: { tone: "warning", label: "Not on Online Store" },
+  [LINK_PROBLEMS.invalidUrl]: { tone: "critical", label: "Malformed URL" },
+};
+
+// The scan only runs when requested (?scan=1), since it reads every menu and
+// every linked resource. Fixes revalidate the loader, so the report refreshes.
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const menuId = url.searchParams.get("menuId") || ALL_MENUS;
+  const scanRequested = url.searchParams.get("scan") === "1";
+
+  const { menus, errors } = await fetchAllMenus(admin);
+  if (errors || !scanRequested) {
+    return Response.json({ menus, errors, scan: null });
+  }
+
+  const scannedMenus = [];
+  const skipped = [];
+  for (const menu of menus.filter((menu) => menuId === ALL_MENUS || menu.id === menuId)) {
+    const { menu: tree, truncated, errors: treeErrors } = await fetchMenuTree(admin, menu.id, { withItemIds: true });
+    if (treeErrors || !tree) return Response.json({ menus, errors: treeErrors || [{ message: `Menu ${menu.title} not found.` }], scan: null });
+    if (truncated.length > 0) {
+      skipped.push({ title: menu.title, handle: menu.handle, reasons: truncationErrors(truncated).map((error) => error.message) });
+    }
+    scannedMenus.push(tree);
+  }
+
+  const { issues, collectionsChecked } = await scanMenuLinks(admin, scannedMenus);
+  return Response.json({
+    menus,
+    errors: null,
+    scan: { menuCount: scannedMenus.length, issues, collectionsChecked, skipped, scannedAt: new Date().toISOString() },
+  });
+};
+
+const handleAction = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const menuId = formData.get("menuId")?.toString();
+  const itemId = formData.get("itemId")?.toString();
+  const fix = formData.get("fix")?.toString();
+  const resourceHandle = formData.get("resourceHandle")?.toString().trim();
+  const url = formData.get("url")?.toString().trim();
+
+  if (!menuId || !itemId || !fix) {
+    return Response.json({ success: false, itemId, errors: [{ field: ["form"], message: "Missing menu item or fix." }] });
+  }
+
+  try {
+    const { menu, truncated, errors } = await fetchMenuTree(admin, menuId, { withItemIds: true });
+    if (errors || !menu) {
+      return Response.json({ success: false, itemId, errors: errors || [{ message: "Menu not found." }] });
+    }
+    if (truncated.length > 0) {
+      return Response.json({ success: false, itemId, errors: truncationErrors(truncated) });
+    }
+
+    let resourceId = null;
+    if (fix === LINK_FIXES.relink) {
+      const item = findItem(menu.items, itemId);
+      resourceId = item && resourceHandle ? await resolveResourceHandle(admin, item.type, resourceHandle) : null;
+      if (item && !resourceId) {
+        return Response.json({ success: false, itemId, errors: [{ field: ["resourceHandle"], message: `No ${item.type.toLowerCase()} with the handle "${resourceHandle || ""}" was found.` }] });
+      }
+    }
+
+    const { items, error } = applyLinkFix(menu.items, itemId, { fix, resourceId, url });
+    if (error) {
+      return Response.json({ success: false, itemId, errors: [{ field: [fix === LINK_FIXES.convertToUrl ? "url" : "form"], message: error }] });
+    }
+    // Other items may have broken links of their own, so only the fixed item is
+    // validated; its children are untouched by the fix
+    const fixedItem = findItem(items, itemId);
+    const problems = fixedItem ? validateMenuItems([{ ...fixedItem, items: [] }]) : [];
+    if (problems.length > 0) {
+      return Response.json({ success: false, itemId, errors: problems.map((problem) => ({ field: ["items"], message: `${fixedItem.title || "Item"}: ${problem.message}` })) });
+    }
+
+    await createMenuSnapshot({ shop: session.shop, menu, items: prepareMenuItemsForCreate(menu.items), reason: SNAPSHOT_REASONS.beforeLinkFix });
+
+    const updateResponse = await admin.graphql(UPDATE_MENU_MUTATION, {
+      variables: { id: menu.id, title: menu.title, handle: menu.handle, items: prepareMenuItemsForUpdate(items) },
+    });
+    const updateJson = await updateResponse.json();
+    const userErrors = updateJson.data?.menuUpdate?.userErrors || [];
+    if (userErrors.length > 0 || updateJson.errors || !updateJson.data?.menuUpdate?.menu) {
+      return Response.json({ success: false, itemId, errors: userErrors.length > 0 ? userErrors : updateJson.errors || [{ message: "Failed to update menu." }] });
+    }
+    return Response.json({ success: true, itemId, menuTitle: menu.title });
+  } catch (error) {
+    console.error("Error fixing menu link:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ success: false, itemId, errors: [{ message: error.message || "An unexpected error occurred." }] });
+  }
+};
+
+export const action = withAuditLog(handleAction, ({ formData, body }) => ({
+  action: "fixLink",
+  targetMenuId: formData.get("menuId"),
+  ...responseOutcome(body),
+  message: `Fix "${formData.get("fix")}" on item ${formData.get("itemId")}.`,
+}));
+
+function IssueFixes({ issue, isBusy, actionData }) {
+  const [resourceHandle, setResourceHandle] = useState("");
+  const [url, setUrl] = useState(issue.problem === LINK_PROBLEMS.invalidUrl ? issue.url || "" : issue.url || "/");
+  const fieldError = (field) => (actionData?.itemId === issue.itemId && !actionData.success
+    ? actionData.errors?.find((error) => error.field?.includes(field))?.message
+    : undefined);
+
+  const fixForm = (fix, label, fields, options = {}) => (
+    <RemixForm method="post">
+      <input type="hidden" name="menuId" value={issue.menuId} />
+      <input type="hidden" name="itemId" value={issue.itemId} />
+      <input type="hidden" name="fix" value={fix} />
+      <InlineStack gap="200" blockAlign="end">
+        {fields}
+        <Button submit loading={isBusy} tone={options.tone} disabled={options.disabled}>{label}</Button>
+      </InlineStack>
+    </RemixForm>
+  );
+
+  return (
+    <BlockStack gap="200">
+      {issue.canRelink && fixForm(
+        LINK_FIXES.relink,
+        "Relink",
+        <TextField
+          label={`New ${issue.type.toLowerCase()} handle`}
+          name="resourceHandle"
+          value={resourceHandle}
+          onChange={setResourceHandle}
+          autoComplete="off"
+          placeholder={issue.type === "ARTICLE" ? "blog-handle/article-handle" : undefined}
+          error={fieldError("resourceHandle")}
+        />,
+        { disabled: !resourceHandle.trim() },
+      )}
+      {fixForm(
+        LINK_FIXES.convertToUrl,
+        issue.problem === LINK_PROBLEMS.invalidUrl ? "Update URL" : "Convert to URL",
+        <TextField label="URL" name="url" value={url} onChange={setUrl} autoComplete="off" error={fieldError("url")} />,
+        { disabled: !url.trim() },
+      )}
+      {fixForm(LINK_FIXES.remove, "Remove item", null, { tone: "critical" })}
+    </BlockStack>
+  );
+}
+
+export default function LinkChecker() {
+  const { menus, errors: loaderErrors, scan } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [searchParams] = useSearchParams();
+  const [menuId, setMenuId] = useState(searchParams.get("menuId") || ALL_MENUS);
+
+  const isScanning = navigation.state === "loading" && navigation.location?.search.includes("scan=1");
+  const busyItemId = navigation.state === "submitting" ? navigation.formData?.get("itemId") : null;
+  const menuOptions = [{ label: "All menus", value: ALL_MENUS }, ...(menus || []).map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id }))];
+  const formErrors = actionData && !actionData.success
+    ? actionData.errors?.filter((error) => !error.field?.includes("url") && !error.field?.includes("resourceHandle"))
+    : null;
+
+  return (
+    <Page>
+      <TitleBar title="Link checker" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <RemixForm method="get">
+              <input type="hidden" name="scan" value="1" />
+              <BlockStack gap="300">
+                <Text as="p">
+                  Checks that every linked product, collection, page, blog and article still exists and is published to the Online Store, and that web address links are well formed.
+                </Text>
+                {loaderErrors && (<Banner title="Error loading menus" tone="critical">{loaderErrors.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>)}
+                <InlineStack gap="200" blockAlign="end">
+                  <Select label="Menus to scan" options={menuOptions} value={menuId} onChange={setMenuId} name="menuId" />
+                  <Button variant="primary" submit loading={isScanning}>{scan ? "Scan again" : "Run scan"}</Button>
+                </InlineStack>
+              </BlockStack>
+            </RemixForm>
+          </Card>
+        </Layout.Section>
+
+        {actionData?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={`Updated ${actionData.menuTitle}`}><p>A snapshot of the previous menu was saved to the history.</p></Banner>
+          </Layout.Section>
+        )}
+        {formErrors?.length > 0 && (
+          <Layout.Section>
+            <Banner tone="critical" title="Could not apply the fix">{formErrors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</Banner>
+          </Layout.Section>
+        )}
+
+        {scan && (
+          <Layout.Section>
+            <BlockStack gap="400">
+              <Text as="p" tone="subdued">{`Scanned ${scan.menuCount} menu(s) on ${new Date(scan.scannedAt).toLocaleString()}: ${scan.issues.length} problem(s) found.`}</Text>
+              {!scan.collectionsChecked && (
+                <Banner tone="warning" title="Collection visibility not checked">
+                  <p>The Online Store publication could not be read, so collections were only checked for deletion.</p>
+                </Banner>
+              )}
+              {scan.skipped.map((menu) => (
+                <Banner key={menu.handle} tone="warning" title={`${menu.title} (${menu.handle}) is nested too deeply to fix here`}>
+                  {menu.reasons.map((reason, index) => (<Text as="p" key={index}>{reason}</Text>))}
+                </Banner>
+              ))}
+              {scan.issues.length === 0 ? (
+                <Card>
+                  <EmptyState heading="No broken links found" image="">
+                    <p>Every scanned menu item points at a live, published resource or a valid URL.</p>
+                  </EmptyState>
+                </Card>
+              ) : scan.issues.map((issue) => (
+                <Card key={`${issue.menuId}-${issue.itemId}`}>
+                  <BlockStack gap="300">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="h3" variant="headingSm">{issue.title}</Text>
+                      <Badge tone={PROBLEM_BADGES[issue.problem].tone}>{PROBLEM_BADGES[issue.problem].label}</Badge>
+                    </InlineStack>
+                    <Text as="p" tone="subdued">{`${issue.menuTitle} (${issue.menuHandle}) · ${issue.location} · ${issue.type}`}</Text>
+                    <Text as="p">{issue.message}</Text>
+                    {!scan.skipped.some((menu) => menu.handle === issue.menuHandle) && (
+                      <IssueFixes issue={issue} isBusy={busyItemId === issue.itemId} actionData={actionData} />
+                    )}
+                  </BlockStack>
+                </Card>
+              ))}
+            </BlockStack>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
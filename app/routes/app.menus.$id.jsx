@@ -0,0 +1,392 @@
+// app/routes/app.menus.$id.jsx
+
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  TextField,
+  InlineError,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "../models/MenuSnapshot.server";
+import { MAX_MENU_DEPTH, URL_ITEM_TYPES, formatItemPath, indexMenuItemsById, validateMenuItems } from "../menu-validation";
+import { fetchMenuTree, prepareMenuItemsForCreate, prepareMenuItemsForUpdate, truncationErrors } from "../menu-tree.server";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+const UPDATE_MENU_MUTATION = `
+  mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const toMenuGid = (id) => `gid://shopify/Menu/${id}`;
+
+export const loader = async ({ request, params }) => {
+  const { admin } = await authenticate.admin(request);
+  const { menu, truncated, errors } = await fetchMenuTree(admin, toMenuGid(params.id), { withItemIds: true });
+  if (errors) {
+    console.error("Menu editor loader: GraphQL Errors fetching menu:", errors);
+    return Response.json({ menu: null, errors });
+  }
+  if (!menu) {
+    throw new Response("Menu not found", { status: 404 });
+  }
+  // Saving replaces the whole tree, so a partially loaded menu must not be editable
+  if (truncated.length > 0) {
+    return Response.json({ menu: null, errors: truncationErrors(truncated) });
+  }
+  return Response.json({ menu, errors: null });
+};
+
+const handleAction = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const title = formData.get("title")?.toString().trim();
+
+  let items;
+  try {
+    items = JSON.parse(formData.get("items")?.toString() || "[]");
+  } catch (e) {
+    return Response.json({ success: false, errors: [{ message: "The edited menu could not be read." }] });
+  }
+  if (!title) {
+    return Response.json({ success: false, errors: [{ field: ["title"], message: "Menu title is required." }] });
+  }
+
+  try {
+    const { menu: currentMenu, truncated, errors } = await fetchMenuTree(admin, toMenuGid(params.id), { withItemIds: true });
+    if (errors || !currentMenu) {
+      return Response.json({ success: false, errors: errors || [{ message: "Menu not found." }] });
+    }
+    if (truncated.length > 0) {
+      return Response.json({ success: false, errors: truncationErrors(truncated) });
+    }
+    const validationErrors = validateMenuItems(items, { originalItems: indexMenuItemsById(currentMenu.items) });
+    if (validationErrors.length > 0) {
+      return Response.json({ success: false, errors: validationErrors.map((error) => ({ ...error, message: `${formatItemPath(error.path)}: ${error.message}` })) });
+    }
+
+    await createMenuSnapshot({
+      shop: session.shop,
+      menu: currentMenu,
+      items: prepareMenuItemsForCreate(currentMenu.items),
+      reason: SNAPSHOT_REASONS.beforeEdit,
+    });
+
+    const updateResponse = await admin.graphql(UPDATE_MENU_MUTATION, {
+      variables: { id: currentMenu.id, title, handle: currentMenu.handle, items: prepareMenuItemsForUpdate(items) },
+    });
+    const updateJson = await updateResponse.json();
+    if (updateJson.data?.menuUpdate?.userErrors?.length) {
+      return Response.json({ success: false, errors: updateJson.data.menuUpdate.userErrors });
+    }
+    if (updateJson.errors || !updateJson.data?.menuUpdate?.menu) {
+      return Response.json({ success: false, errors: updateJson.errors || [{ message: "Failed to save menu." }] });
+    }
+    // New items only get IDs once saved; the editor reloads them from this tree so
+    // that saving again updates those items instead of creating them a second time
+    const { menu: savedMenu } = await fetchMenuTree(admin, currentMenu.id, { withItemIds: true });
+    if (!savedMenu) {
+      return Response.json({ success: true, menu: null, message: `Menu "${title}" saved. Reload the page before editing it again.` });
+    }
+    return Response.json({ success: true, menu: savedMenu, message: `Menu "${title}" saved.` });
+  } catch (error) {
+    console.error("Error in menu editor action:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ success: false, errors: [{ message: error.message || "An unexpected error occurred while saving." }] });
+  }
+};
+
+export const action = withAuditLog(handleAction, ({ params, body }) => ({
+  action: "editMenu",
+  targetMenuId: toMenuGid(params.id),
+  ...responseOutcome(body),
+}));
+
+// --- Tree helpers (pure, operate on editor items keyed by `key`) ---
+
+let nextItemKey = 0;
+const newItemKey = () => `new-${++nextItemKey}`;
+
+function toEditorItems(items) {
+  if (!items || items.length === 0) return [];
+  return items.map((item) => ({
+    key: item.id,
+    id: item.id,
+    title: item.title,
+    url: item.url || "",
+    type: item.type,
+    resourceId: item.resourceId || null,
+    items: toEditorItems(item.items),
+  }));
+}
+
+function updateItem(items, key, changes) {
+  return items.map((item) => {
+    if (item.key === key) return { ...item, ...changes };
+    return { ...item, items: updateItem(item.items, key, changes) };
+  });
+}
+
+// Returns [treeWithoutItem, removedItem]
+function removeItem(items, key) {
+  let removed = null;
+  const remaining = [];
+  for (const item of items) {
+    if (item.key === key) {
+      removed = item;
+      continue;
+    }
+    const [children, removedChild] = removeItem(item.items, key);
+    if (removedChild) removed = removedChild;
+    remaining.push(removedChild ? { ...item, items: children } : item);
+  }
+  return [remaining, removed];
+}
+
+// Inserts `newItem` before, after or inside the item with `targetKey`
+function insertItem(items, targetKey, newItem, position) {
+  const result = [];
+  for (const item of items) {
+    if (item.key === targetKey) {
+      if (position === "before") result.push(newItem, item);
+      else if (position === "after") result.push(item, newItem);
+      else result.push({ ...item, items: [...item.items, newItem] });
+      continue;
+    }
+    result.push({ ...item, items: insertItem(item.items, targetKey, newItem, position) });
+  }
+  return result;
+}
+
+function containsKey(items, key) {
+  return items.some((item) => item.key === key || containsKey(item.items, key));
+}
+
+function findItem(items, key) {
+  for (const item of items) {
+    if (item.key === key) return item;
+    const found = findItem(item.items, key);
+    if (found) return found;
+  }
+  return null;
+}
+
+function MenuItemRow({ item, depth, errorsByKey, draggedKey, dropTarget, handlers }) {
+  const itemErrors = errorsByKey[item.key] || [];
+  const isDropTarget = dropTarget?.key === item.key;
+  const indicatorStyle = {
+    borderTop: isDropTarget && dropTarget.position === "before" ? "2px solid #005bd3" : "2px solid transparent",
+    borderBottom: isDropTarget && dropTarget.position === "after" ? "2px solid #005bd3" : "2px solid transparent",
+    background: isDropTarget && dropTarget.position === "inside" ? "#f0f5ff" : undefined,
+    opacity: draggedKey === item.key ? 0.5 : 1,
+    marginLeft: `${(depth - 1) * 24}px`,
+  };
+
+  return (
+    <>
+      <div
+        draggable
+        onDragStart={(event) => handlers.onDragStart(event, item.key)}
+        onDragOver={(event) => handlers.onDragOver(event, item.key)}
+        onDrop={(event) => handlers.onDrop(event, item.key)}
+        onDragEnd={handlers.onDragEnd}
+        style={indicatorStyle}
+      >
+        <Box padding="200" borderWidth="025" borderColor={itemErrors.length ? "border-critical" : "border"} borderRadius="200" background="bg-surface">
+          <BlockStack gap="100">
+            <InlineStack gap="200" blockAlign="center" wrap={false}>
+              <span style={{ cursor: "grab" }} aria-hidden>⠿</span>
+              <div style={{ flexGrow: 1 }}>
+                <TextField
+                  label="Title"
+                  labelHidden
+                  value={item.title}
+                  onChange={(value) => handlers.onChange(item.key, { title: value })}
+                  autoComplete="off"
+                  error={itemErrors.some((error) => error.field === "title")}
+                />
+              </div>
+              {URL_ITEM_TYPES.includes(item.type) ? (
+                <div style={{ flexGrow: 1 }}>
+                  <TextField
+                    label="URL"
+                    labelHidden
+                    placeholder="https://"
+                    value={item.url}
+                    onChange={(value) => handlers.onChange(item.key, { url: value })}
+                    autoComplete="off"
+                    error={itemErrors.some((error) => error.field === "url")}
+                  />
+                </div>
+              ) : (
+                <Badge>{item.type}</Badge>
+              )}
+              <Button size="slim" onClick={() => handlers.onAddChild(item.key)} disabled={depth >= MAX_MENU_DEPTH}>Add child</Button>
+              <Button size="slim" tone="critical" variant="plain" onClick={() => handlers.onDelete(item.key)}>Delete</Button>
+            </InlineStack>
+            {itemErrors.map((error, index) => (<InlineError key={index} message={error.message} fieldID={`${item.key}-${error.field}`} />))}
+          </BlockStack>
+        </Box>
+      </div>
+      {item.items.map((child) => (
+        <MenuItemRow key={child.key} item={child} depth={depth + 1} errorsByKey={errorsByKey} draggedKey={draggedKey} dropTarget={dropTarget} handlers={handlers} />
+      ))}
+    </>
+  );
+}
+
+export default function MenuEditor() {
+  const { menu, errors: loaderErrors } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSaving = navigation.state === "submitting";
+
+  const [title, setTitle] = useState(menu?.title || "");
+  const [items, setItems] = useState(() => toEditorItems(menu?.items));
+  const [draggedKey, setDraggedKey] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const draggedKeyRef = useRef(null);
+
+  useEffect(() => {
+    if (actionData?.success && actionData.menu) {
+      setTitle(actionData.menu.title);
+      setItems(toEditorItems(actionData.menu.items));
+    }
+  }, [actionData]);
+
+  const originalItems = useMemo(() => indexMenuItemsById(menu?.items), [menu]);
+  const validationErrors = useMemo(() => validateMenuItems(items, { originalItems }), [items, originalItems]);
+  const errorsByKey = useMemo(() => validationErrors.reduce((acc, error) => {
+    (acc[error.key] = acc[error.key] || []).push(error);
+    return acc;
+  }, {}), [validationErrors]);
+
+  const handleChange = useCallback((key, changes) => setItems((current) => updateItem(current, key, changes)), []);
+  const handleDelete = useCallback((key) => setItems((current) => removeItem(current, key)[0]), []);
+  const handleAddChild = useCallback((key) => {
+    setItems((current) => insertItem(current, key, { key: newItemKey(), title: "", url: "", type: "HTTP", resourceId: null, items: [] }, "inside"));
+  }, []);
+  const handleAddTopLevel = useCallback(() => {
+    setItems((current) => [...current, { key: newItemKey(), title: "", url: "", type: "HTTP", resourceId: null, items: [] }]);
+  }, []);
+
+  const handleDragStart = useCallback((event, key) => {
+    event.stopPropagation();
+    event.dataTransfer.effectAllowed = "move";
+    draggedKeyRef.current = key;
+    setDraggedKey(key);
+  }, []);
+
+  const handleDragOver = useCallback((event, key) => {
+    const sourceKey = draggedKeyRef.current;
+    if (!sourceKey || sourceKey === key) return;
+    event.preventDefault();
+    // Top quarter drops before, bottom quarter after, the middle nests inside
+    const rect = event.currentTarget.getBoundingClientRect();
+    const offset = (event.clientY - rect.top) / rect.height;
+    const position = offset < 0.25 ? "before" : offset > 0.75 ? "after" : "inside";
+    setDropTarget((current) => (current?.key === key && current.position === position ? current : { key, position }));
+  }, []);
+
+  const handleDrop = useCallback((event, key) => {
+    event.preventDefault();
+    const sourceKey = draggedKeyRef.current;
+    const position = dropTarget?.key === key ? dropTarget.position : "before";
+    setItems((current) => {
+      const source = findItem(current, sourceKey);
+      // An item cannot be dropped onto itself or into its own subtree
+      if (!source || source.key === key || containsKey(source.items, key)) return current;
+      const [withoutSource] = removeItem(current, sourceKey);
+      return insertItem(withoutSource, key, source, position);
+    });
+    draggedKeyRef.current = null;
+    setDraggedKey(null);
+    setDropTarget(null);
+  }, [dropTarget]);
+
+  const handleDragEnd = useCallback(() => {
+    draggedKeyRef.current = null;
+    setDraggedKey(null);
+    setDropTarget(null);
+  }, []);
+
+  const handlers = {
+    onChange: handleChange,
+    onDelete: handleDelete,
+    onAddChild: handleAddChild,
+    onDragStart: handleDragStart,
+    onDragOver: handleDragOver,
+    onDrop: handleDrop,
+    onDragEnd: handleDragEnd,
+  };
+
+  if (!menu) {
+    return (
+      <Page backAction={{ content: "Menus", url: "/app" }}>
+        <TitleBar title="Edit menu" />
+        <Banner title="Error loading menu" tone="critical">{loaderErrors?.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>
+      </Page>
+    );
+  }
+
+  return (
+    <Page backAction={{ content: "Menus", url: "/app" }} title={menu.title} subtitle={menu.handle}>
+      <TitleBar title="Edit menu" />
+      <RemixForm method="post">
+        <input type="hidden" name="items" value={JSON.stringify(items)} />
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="400">
+              {actionData?.success && (<Banner title="Saved" tone="success"><p>{actionData.message}</p></Banner>)}
+              {actionData?.errors && !actionData.success && (<Banner title="Error Saving Menu" tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.field ? `Field: ${[].concat(error.field).join(", ")} - ` : ""}{error.message}</Text>))}</BlockStack></Banner>)}
+              <Card>
+                <TextField label="Menu title" name="title" value={title} onChange={setTitle} autoComplete="off" error={!title.trim() ? "Menu title is required." : undefined} />
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">Menu items</Text>
+                  <Text as="p" tone="subdued">Drag items to reorder them. Drop onto the middle of an item to nest it, up to {MAX_MENU_DEPTH} levels deep.</Text>
+                  {items.length === 0 && <Text as="p">This menu has no items.</Text>}
+                  {items.map((item) => (
+                    <MenuItemRow key={item.key} item={item} depth={1} errorsByKey={errorsByKey} draggedKey={draggedKey} dropTarget={dropTarget} handlers={handlers} />
+                  ))}
+                  <InlineStack gap="200" align="space-between">
+                    <Button onClick={handleAddTopLevel}>Add menu item</Button>
+                    <Button variant="primary" submit loading={isSaving} disabled={validationErrors.length > 0 || !title.trim()}>Save menu</Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </RemixForm>
+    </Page>
+  );
+}
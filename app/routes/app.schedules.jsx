@@ -0,0 +1,275 @@
+// app/routes/app.schedules.jsx
+
+import { useState, useCallback } from "react";
+import {
+  Form as RemixForm,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  TextField,
+  IndexTable,
+  Badge,
+  EmptyState,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import {
+  claimMenuSchedule,
+  createMenuSchedule,
+  getMenuSchedule,
+  getMenuSchedules,
+  getOverlappingSchedules,
+} from "../models/MenuSchedule.server";
+import { SCHEDULE_STATUS } from "../menu-schedule";
+import { runMenuSchedule } from "../menu-scheduler.server";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+const STATUS_BADGE_TONES = {
+  [SCHEDULE_STATUS.scheduled]: "info",
+  [SCHEDULE_STATUS.starting]: "attention",
+  [SCHEDULE_STATUS.active]: "success",
+  [SCHEDULE_STATUS.ending]: "attention",
+  [SCHEDULE_STATUS.completed]: undefined,
+  [SCHEDULE_STATUS.cancelled]: undefined,
+  [SCHEDULE_STATUS.failed]: "critical",
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { menus, errors } = await fetchAllMenus(admin);
+  const schedules = await getMenuSchedules(session.shop);
+  return Response.json({
+    menus,
+    errors,
+    schedules: schedules.map(({ originalItems, ...schedule }) => schedule),
+  });
+};
+
+// Dates arrive as ISO strings converted from the merchant's local time in the browser
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+const handleAction = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionName = formData.get("_action");
+
+  if (actionName === "cancelSchedule" || actionName === "endSchedule") {
+    const schedule = await getMenuSchedule(formData.get("scheduleId")?.toString(), session.shop);
+    if (!schedule) {
+      return Response.json({ actionName, success: false, errors: [{ message: "Schedule not found." }] });
+    }
+    if (actionName === "cancelSchedule") {
+      // Claimed so a swap the scheduler is starting right now is not cancelled under it
+      const cancelled = schedule.status === SCHEDULE_STATUS.scheduled
+        && await claimMenuSchedule(schedule.id, SCHEDULE_STATUS.scheduled, { status: SCHEDULE_STATUS.cancelled });
+      if (!cancelled) {
+        return Response.json({ actionName, success: false, errors: [{ message: "Only schedules that have not started can be cancelled." }] });
+      }
+      return Response.json({ actionName, success: true, message: `Cancelled the swap of ${schedule.targetMenuTitle}.` });
+    }
+    if (schedule.status !== SCHEDULE_STATUS.active) {
+      return Response.json({ actionName, success: false, errors: [{ message: "Only running swaps can be ended." }] });
+    }
+    // Moving the end time to now makes the scheduler retry the restore if it fails here
+    try {
+      const ended = await runMenuSchedule(schedule, { admin, claim: { endsAt: new Date() } });
+      if (!ended) {
+        return Response.json({ actionName, success: false, errors: [{ message: "This swap is already being ended." }] });
+      }
+    } catch (error) {
+      console.error("Error ending menu schedule:", error);
+      if (error instanceof Response) throw error;
+      return Response.json({ actionName, success: false, errors: [{ message: `${error.message || "The original menu items could not be restored."} The scheduler will retry.` }] });
+    }
+    return Response.json({ actionName, success: true, message: `Restored the original items of ${schedule.targetMenuTitle}.` });
+  }
+
+  if (actionName !== "createSchedule") {
+    return Response.json({ actionName, success: false, errors: [{ message: "Unknown action." }] });
+  }
+
+  const targetMenuId = formData.get("targetMenuId")?.toString();
+  const sourceMenuId = formData.get("sourceMenuId")?.toString();
+  const startsAt = parseDate(formData.get("startsAt")?.toString());
+  const endsAt = parseDate(formData.get("endsAt")?.toString());
+
+  const errors = [];
+  if (!targetMenuId) errors.push({ field: ["targetMenuId"], message: "Choose the menu to change." });
+  if (!sourceMenuId) errors.push({ field: ["sourceMenuId"], message: "Choose the campaign menu." });
+  if (targetMenuId && targetMenuId === sourceMenuId) errors.push({ field: ["sourceMenuId"], message: "The campaign menu must be different from the menu it replaces." });
+  if (!startsAt) errors.push({ field: ["startsAt"], message: "Enter a valid start date and time." });
+  else if (startsAt < new Date(Date.now() - 60 * 1000)) errors.push({ field: ["startsAt"], message: "The start time is in the past." });
+  if (endsAt === undefined) errors.push({ field: ["endsAt"], message: "Enter a valid end date and time." });
+  else if (endsAt && startsAt && endsAt <= startsAt) errors.push({ field: ["endsAt"], message: "The end time must be after the start time." });
+  if (errors.length > 0) {
+    return Response.json({ actionName, success: false, errors });
+  }
+
+  try {
+    const { menus, errors: menuErrors } = await fetchAllMenus(admin);
+    if (menuErrors) {
+      return Response.json({ actionName, success: false, errors: menuErrors });
+    }
+    const targetMenu = menus.find((menu) => menu.id === targetMenuId);
+    const sourceMenu = menus.find((menu) => menu.id === sourceMenuId);
+    if (!targetMenu || !sourceMenu) {
+      return Response.json({ actionName, success: false, errors: [{ message: "One of the selected menus no longer exists." }] });
+    }
+
+    const overlapping = await getOverlappingSchedules(session.shop, targetMenuId, { startsAt, endsAt });
+    if (overlapping.length > 0) {
+      return Response.json({ actionName, success: false, errors: [{ field: ["startsAt"], message: `${targetMenu.title} already has a swap scheduled in this period (${overlapping.map((schedule) => schedule.sourceMenuTitle).join(", ")}).` }] });
+    }
+
+    await createMenuSchedule({ shop: session.shop, targetMenu, sourceMenu, startsAt, endsAt });
+    return Response.json({ actionName, success: true, message: `Scheduled "${sourceMenu.title}" to replace ${targetMenu.title} on ${startsAt.toLocaleString()}.` });
+  } catch (error) {
+    console.error("Error creating menu schedule:", error);
+    if (error instanceof Response) throw error;
+    return Response.json({ actionName, success: false, errors: [{ message: error.message || "An unexpected error occurred." }] });
+  }
+};
+
+export const action = withAuditLog(handleAction, async ({ formData, body, shop }) => {
+  if (body.actionName === "createSchedule") {
+    return { action: "createSchedule", sourceMenuId: formData.get("sourceMenuId"), targetMenuId: formData.get("targetMenuId"), ...responseOutcome(body) };
+  }
+  if (body.actionName === "cancelSchedule" || body.actionName === "endSchedule") {
+    const schedule = await getMenuSchedule(formData.get("scheduleId")?.toString(), shop);
+    return { action: body.actionName, sourceMenuId: schedule?.sourceMenuId, targetMenuId: schedule?.targetMenuId, ...responseOutcome(body) };
+  }
+  return null;
+});
+
+export default function MenuSchedules() {
+  const { menus, errors: loaderErrors, schedules } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const menuOptions = menus?.map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id })) || [];
+  const [targetMenuId, setTargetMenuId] = useState(menuOptions[0]?.value || "");
+  const [sourceMenuId, setSourceMenuId] = useState(menuOptions[1]?.value || "");
+  const [startsAt, setStartsAt] = useState("");
+  const [endsAt, setEndsAt] = useState("");
+
+  const submittingAction = navigation.state === "submitting" ? navigation.formData?.get("_action") : null;
+  const busyScheduleId = navigation.state === "submitting" ? navigation.formData?.get("scheduleId") : null;
+  const fieldError = (field) => (actionData?.actionName === "createSchedule" && !actionData.success
+    ? actionData.errors?.find((error) => error.field?.includes(field))?.message
+    : undefined);
+  const generalErrors = actionData && !actionData.success
+    ? actionData.errors?.filter((error) => !error.field || actionData.actionName !== "createSchedule")
+    : null;
+
+  // datetime-local values are in the browser's time zone; send them as ISO timestamps
+  const handleCreate = useCallback((event) => {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    formData.set("startsAt", startsAt ? new Date(startsAt).toISOString() : "");
+    formData.set("endsAt", endsAt ? new Date(endsAt).toISOString() : "");
+    submit(formData, { method: "post" });
+  }, [startsAt, endsAt, submit]);
+
+  const rowMarkup = schedules.map((schedule, index) => (
+    <IndexTable.Row id={schedule.id} key={schedule.id} position={index}>
+      <IndexTable.Cell>
+        <Text as="span" fontWeight="semibold">{schedule.targetMenuTitle}</Text>
+        <Text as="p" variant="bodySm" tone="subdued">{schedule.targetMenuHandle}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{schedule.sourceMenuTitle}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(schedule.startsAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{schedule.endsAt ? new Date(schedule.endsAt).toLocaleString() : "Permanent"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Badge tone={STATUS_BADGE_TONES[schedule.status]}>{schedule.status}</Badge>
+          {schedule.lastError && (<Text as="p" variant="bodySm" tone="critical">{schedule.lastError}</Text>)}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {(schedule.status === SCHEDULE_STATUS.scheduled || schedule.status === SCHEDULE_STATUS.active) && (
+          <RemixForm method="post">
+            <input type="hidden" name="scheduleId" value={schedule.id} />
+            {schedule.status === SCHEDULE_STATUS.scheduled ? (
+              <Button submit size="slim" name="_action" value="cancelSchedule" loading={busyScheduleId === schedule.id}>Cancel</Button>
+            ) : (
+              <Button submit size="slim" name="_action" value="endSchedule" loading={busyScheduleId === schedule.id}>End now</Button>
+            )}
+          </RemixForm>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Scheduled swaps" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.success && (<Banner title="Schedule updated" tone="success"><p>{actionData.message}</p></Banner>)}
+            {generalErrors?.length > 0 && (<Banner title="Error" tone="critical"><BlockStack gap="100">{generalErrors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</BlockStack></Banner>)}
+            {loaderErrors && (<Banner title="Error loading menus" tone="critical">{loaderErrors.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>)}
+            <Card>
+              <RemixForm method="post" onSubmit={handleCreate}>
+                <input type="hidden" name="_action" value="createSchedule" />
+                <FormLayout>
+                  <Text as="h2" variant="headingMd">Schedule a swap</Text>
+                  <Text as="p" tone="subdued">At the start time the items of the campaign menu replace the items of the target menu. When the campaign ends, the original items are put back.</Text>
+                  <FormLayout.Group>
+                    <Select label="Menu to change" options={menuOptions} value={targetMenuId} onChange={setTargetMenuId} name="targetMenuId" error={fieldError("targetMenuId")} />
+                    <Select label="Campaign menu" options={menuOptions} value={sourceMenuId} onChange={setSourceMenuId} name="sourceMenuId" error={fieldError("sourceMenuId")} />
+                  </FormLayout.Group>
+                  <FormLayout.Group>
+                    <TextField label="Starts at" type="datetime-local" value={startsAt} onChange={setStartsAt} autoComplete="off" error={fieldError("startsAt")} />
+                    <TextField label="Ends at" type="datetime-local" value={endsAt} onChange={setEndsAt} autoComplete="off" helpText="Leave empty to keep the campaign items." error={fieldError("endsAt")} />
+                  </FormLayout.Group>
+                  <InlineStack>
+                    <Button variant="primary" submit loading={submittingAction === "createSchedule"} disabled={!targetMenuId || !sourceMenuId || !startsAt}>Schedule swap</Button>
+                  </InlineStack>
+                </FormLayout>
+              </RemixForm>
+            </Card>
+            <Card>
+              {schedules.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: "schedule", plural: "schedules" }}
+                  itemCount={schedules.length}
+                  selectable={false}
+                  headings={[{ title: "Menu" }, { title: "Campaign menu" }, { title: "Starts" }, { title: "Ends" }, { title: "Status" }, { title: "" }]}
+                >
+                  {rowMarkup}
+                </IndexTable>
+              ) : (
+                <Box paddingBlock="400">
+                  <EmptyState heading="No scheduled swaps" image="">
+                    <p>Schedule a campaign menu to replace one of your menus at a set time.</p>
+                  </EmptyState>
+                </Box>
+              )}
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
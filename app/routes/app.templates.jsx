@@ -0,0 +1,445 @@
+// app/routes/app.templates.jsx
+
+import { useState, useCallback } from "react";
+import { unstable_createMemoryUploadHandler, unstable_parseMultipartFormData } from "@remix-run/node";
+import {
+  Form as RemixForm,
+  Link,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  TextField,
+  ChoiceList,
+  DropZone,
+  IndexTable,
+  List,
+  Badge,
+  EmptyState,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import { fetchMenuTree, prepareMenuItemsForCreate, truncationErrors } from "../menu-tree.server";
+import { attachResourceHandles, remapMenuResources } from "../resource-remap.server";
+import { readMenuFile } from "../menu-file.server";
+import { resolveMenuHandle } from "../menu-handle.server";
+import { countMenuItems, formatItemPath, validateMenuItems } from "../menu-validation";
+import { applyTemplateParameters, findTemplatePlaceholders } from "../menu-template";
+import { createMenuSnapshot, SNAPSHOT_REASONS } from "../models/MenuSnapshot.server";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+import {
+  createMenuTemplate,
+  deleteMenuTemplate,
+  findMenuTemplateByName,
+  getMenuTemplate,
+  getMenuTemplates,
+  renameMenuTemplate,
+} from "../models/MenuTemplate.server";
+
+const CREATE_MENU_MUTATION = `
+  mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
+    menuCreate(title: $title, handle: $handle, items: $items) {
+      menu {
+        id
+        handle
+        title
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+const SHOP_DOMAINS_QUERY = `
+  query ShopDomains {
+    shop {
+      myshopifyDomain
+      primaryDomain {
+        host
+      }
+    }
+  }
+`;
+
+// Hosts the shop's storefront is served from, so absolute links to it can be moved to another domain
+async function fetchShopDomains(admin) {
+  const response = await admin.graphql(SHOP_DOMAINS_QUERY);
+  const responseJson = await response.json();
+  const shop = responseJson.data?.shop;
+  return [...new Set([shop?.primaryDomain?.host, shop?.myshopifyDomain].filter(Boolean))];
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const templateId = url.searchParams.get("template");
+
+  const { menus, errors } = await fetchAllMenus(admin);
+  const templates = await getMenuTemplates(session.shop);
+  const selected = templateId ? templates.find((template) => template.id === templateId) : null;
+
+  return Response.json({
+    menus,
+    errors,
+    templates: templates.map(({ items, ...template }) => ({
+      ...template,
+      itemCount: countMenuItems(items),
+      placeholders: findTemplatePlaceholders(items),
+    })),
+    selectedTemplate: selected ? { ...selected, placeholders: findTemplatePlaceholders(selected.items) } : null,
+  });
+};
+
+// Reads the items to save from a live menu or an uploaded export
+async function loadTemplateSource(admin, formData) {
+  if (formData.get("source") === "file") {
+    const uploadedFile = formData.get("menuFile");
+    if (!uploadedFile || typeof uploadedFile === "string" || uploadedFile.size === 0) {
+      return { errors: [{ field: ["menuFile"], message: "Choose an export file." }] };
+    }
+    const { items, errors, document } = await readMenuFile(uploadedFile);
+    if (errors) return { errors };
+    // Export files only record the store's myshopify.com domain
+    return { items, sourceMenuTitle: document?.originalTitle || uploadedFile.name, sourceDomains: document?.source?.shop ? [document.source.shop] : [] };
+  }
+
+  const menuId = formData.get("menuId")?.toString();
+  if (!menuId) return { errors: [{ field: ["menuId"], message: "Choose a menu." }] };
+  const { menu, truncated, errors } = await fetchMenuTree(admin, menuId);
+  if (errors || !menu) return { errors: errors || [{ message: "Menu not found." }] };
+  if (truncated.length > 0) return { errors: truncationErrors(truncated) };
+  return {
+    items: await attachResourceHandles(admin, prepareMenuItemsForCreate(menu.items)),
+    sourceMenuTitle: menu.title,
+    sourceDomains: await fetchShopDomains(admin),
+  };
+}
+
+const handleAction = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const contentType = request.headers.get("Content-Type") || "";
+  let formData;
+  if (contentType.includes("multipart/form-data")) {
+    const uploadHandler = unstable_createMemoryUploadHandler({ maxPartSize: 5_000_000 });
+    formData = await unstable_parseMultipartFormData(request, uploadHandler);
+  } else {
+    formData = await request.formData();
+  }
+  const actionName = formData.get("_action");
+  const templateId = formData.get("templateId")?.toString();
+
+  try {
+    if (actionName === "saveTemplate" || actionName === "renameTemplate") {
+      const name = formData.get("name")?.toString().trim();
+      if (!name) {
+        return Response.json({ actionName, success: false, errors: [{ field: ["name"], message: "Template name is required." }] });
+      }
+      const existing = await findMenuTemplateByName(session.shop, name);
+      if (existing && existing.id !== templateId) {
+        return Response.json({ actionName, success: false, errors: [{ field: ["name"], message: `A template named "${name}" already exists.` }] });
+      }
+
+      if (actionName === "renameTemplate") {
+        const renamed = await renameMenuTemplate(templateId, session.shop, name);
+        if (!renamed) return Response.json({ actionName, success: false, errors: [{ message: "Template not found." }] });
+        return Response.json({ actionName, success: true, message: `Template renamed to "${name}".` });
+      }
+
+      const { items, sourceMenuTitle, sourceDomains, errors } = await loadTemplateSource(admin, formData);
+      if (errors) {
+        return Response.json({ actionName, success: false, errors });
+      }
+      const template = await createMenuTemplate({ shop: session.shop, name, sourceMenuTitle, sourceDomains, items });
+      return Response.json({ actionName, success: true, templateId: template.id, message: `Saved template "${name}" with ${countMenuItems(items)} items.` });
+    }
+
+    if (actionName === "deleteTemplate") {
+      const deleted = await deleteMenuTemplate(templateId, session.shop);
+      if (!deleted) return Response.json({ actionName, success: false, errors: [{ message: "Template not found." }] });
+      return Response.json({ actionName, success: true, message: "Template deleted." });
+    }
+
+    if (actionName === "createFromTemplate") {
+      const template = await getMenuTemplate(templateId, session.shop);
+      if (!template) {
+        return Response.json({ actionName, success: false, errors: [{ message: "Template not found." }] });
+      }
+      const title = formData.get("newMenuTitle")?.toString().trim();
+      if (!title) {
+        return Response.json({ actionName, success: false, errors: [{ field: ["newMenuTitle"], message: "New menu title is required." }] });
+      }
+      const values = Object.fromEntries(findTemplatePlaceholders(template.items).map((name) => [name, formData.get(`param_${name}`)?.toString() || ""]));
+      const { items, errors } = applyTemplateParameters(template.items, {
+        values,
+        handlePrefix: formData.get("handlePrefix")?.toString() || "",
+        domain: formData.get("domain")?.toString() || "",
+        sourceDomains: template.sourceDomains,
+      });
+      if (errors) {
+        return Response.json({ actionName, success: false, errors });
+      }
+      const problems = validateMenuItems(items);
+      if (problems.length > 0) {
+        return Response.json({ actionName, success: false, errors: problems.map((problem) => ({ field: ["items"], message: `${formatItemPath(problem.path)}: ${problem.message}` })) });
+      }
+
+      const { items: remappedItems, report: remapReport } = await remapMenuResources(admin, items);
+      const preparedItems = prepareMenuItemsForCreate(remappedItems);
+      const { handle, errors: handleErrors } = await resolveMenuHandle(admin, { title });
+      if (handleErrors) {
+        return Response.json({ actionName, success: false, errors: handleErrors });
+      }
+      const createResponse = await admin.graphql(CREATE_MENU_MUTATION, { variables: { title, handle, items: preparedItems } });
+      const createResponseJson = await createResponse.json();
+      if (createResponseJson.data?.menuCreate?.userErrors?.length) {
+        return Response.json({ actionName, success: false, errors: createResponseJson.data.menuCreate.userErrors });
+      }
+      if (createResponseJson.errors || !createResponseJson.data?.menuCreate?.menu) {
+        return Response.json({ actionName, success: false, errors: createResponseJson.errors || [{ message: "Failed to create menu from template." }] });
+      }
+      const createdMenu = createResponseJson.data.menuCreate.menu;
+      await createMenuSnapshot({ shop: session.shop, menu: createdMenu, items: preparedItems, reason: SNAPSHOT_REASONS.template });
+      return Response.json({
+        actionName,
+        success: true,
+        createdMenu,
+        message: `Menu "${createdMenu.title}" created from "${template.name}" with handle ${createdMenu.handle}.`,
+        unmatched: [...remapReport.fallback, ...remapReport.unmatched].map((entry) => `${entry.location} (${entry.title})`),
+      });
+    }
+
+    return Response.json({ actionName, success: false, errors: [{ message: "Unknown action." }] });
+  } catch (error) {
+    console.error(`Error in ${actionName} action:`, error);
+    if (error instanceof Response) throw error;
+    return Response.json({ actionName, success: false, errors: [{ message: error.message || "An unexpected error occurred." }] });
+  }
+};
+
+// Only creating a menu is logged; saving and managing templates does not change any menu
+export const action = withAuditLog(handleAction, ({ body }) => (
+  body.actionName === "createFromTemplate" ? { action: "createFromTemplate", targetMenuId: body.createdMenu?.id, ...responseOutcome(body) } : null
+));
+
+function TemplateTree({ items }) {
+  return (
+    <List type="bullet">
+      {items.map((item, index) => (
+        <List.Item key={index}>
+          <Text as="span" fontWeight="semibold">{item.title}</Text>{" "}
+          <Text as="span" variant="bodySm" tone="subdued">{item.type} {item.url || item.resourceHandle || ""}</Text>
+          {item.items?.length > 0 && <TemplateTree items={item.items} />}
+        </List.Item>
+      ))}
+    </List>
+  );
+}
+
+function SelectedTemplate({ template, actionData, submittingAction }) {
+  const [name, setName] = useState(template.name);
+  const [newMenuTitle, setNewMenuTitle] = useState("");
+  const [handlePrefix, setHandlePrefix] = useState("");
+  const [domain, setDomain] = useState("");
+  const [values, setValues] = useState({});
+
+  const fieldError = (action, field) => (actionData?.actionName === action && !actionData.success
+    ? actionData.errors?.find((error) => error.field?.includes(field))?.message
+    : undefined);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h2" variant="headingMd">{template.name}</Text>
+          <Link to="/app/templates">Close</Link>
+        </InlineStack>
+        {template.sourceMenuTitle && (<Text as="p" tone="subdued">Saved from {template.sourceMenuTitle} on {new Date(template.createdAt).toLocaleString()}.</Text>)}
+        <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+          {template.items.length > 0 ? <TemplateTree items={template.items} /> : <Text as="p" tone="subdued">The template has no items.</Text>}
+        </Box>
+
+        <RemixForm method="post">
+          <input type="hidden" name="templateId" value={template.id} />
+          <FormLayout>
+            <Text as="h3" variant="headingSm">Create a menu from this template</Text>
+            <TextField label="New menu title" name="newMenuTitle" value={newMenuTitle} onChange={setNewMenuTitle} autoComplete="off" error={fieldError("createFromTemplate", "newMenuTitle")} />
+            <FormLayout.Group>
+              <TextField label="Collection handle prefix" name="handlePrefix" value={handlePrefix} onChange={setHandlePrefix} autoComplete="off" placeholder="e.g. summer-" helpText="Put in front of every linked collection handle." />
+              <TextField
+                label="Storefront domain"
+                name="domain"
+                value={domain}
+                onChange={setDomain}
+                autoComplete="off"
+                placeholder="e.g. shop.example.com"
+                disabled={template.sourceDomains.length === 0}
+                helpText={template.sourceDomains.length > 0
+                  ? `Replaces ${template.sourceDomains.join(" and ")} in absolute web address links.`
+                  : "This template does not record the store it was saved from, so its links are kept as they are."}
+              />
+            </FormLayout.Group>
+            {template.placeholders.map((placeholder) => (
+              <TextField
+                key={placeholder}
+                label={`{{${placeholder}}}`}
+                name={`param_${placeholder}`}
+                value={values[placeholder] || ""}
+                onChange={(value) => setValues((current) => ({ ...current, [placeholder]: value }))}
+                autoComplete="off"
+                error={fieldError("createFromTemplate", `param_${placeholder}`)}
+              />
+            ))}
+            <InlineStack>
+              <Button variant="primary" submit name="_action" value="createFromTemplate" loading={submittingAction === "createFromTemplate"} disabled={!newMenuTitle.trim()}>Create menu</Button>
+            </InlineStack>
+          </FormLayout>
+        </RemixForm>
+
+        <RemixForm method="post">
+          <input type="hidden" name="templateId" value={template.id} />
+          <InlineStack gap="200" blockAlign="end">
+            <div style={{ flexGrow: 1 }}>
+              <TextField label="Template name" name="name" value={name} onChange={setName} autoComplete="off" error={fieldError("renameTemplate", "name")} />
+            </div>
+            <Button submit name="_action" value="renameTemplate" loading={submittingAction === "renameTemplate"} disabled={!name.trim() || name.trim() === template.name}>Rename</Button>
+            <Button submit name="_action" value="deleteTemplate" tone="critical" loading={submittingAction === "deleteTemplate"}>Delete template</Button>
+          </InlineStack>
+        </RemixForm>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function MenuTemplates() {
+  const { menus, errors: loaderErrors, templates, selectedTemplate } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const submittingAction = navigation.state === "submitting" ? navigation.formData?.get("_action") : null;
+
+  const menuOptions = menus?.map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id })) || [];
+  const [source, setSource] = useState(["menu"]);
+  const [menuId, setMenuId] = useState(menuOptions[0]?.value || "");
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState("");
+
+  const handleDrop = useCallback((_dropFiles, acceptedFiles) => setFile(acceptedFiles?.[0] || null), []);
+
+  // DropZone keeps the file in state rather than in a named input, so add it to the submission here
+  const handleSave = useCallback((event) => {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    formData.set("_action", "saveTemplate");
+    formData.set("source", source[0]);
+    if (source[0] === "file" && file) formData.set("menuFile", file);
+    submit(formData, { method: "post", encType: "multipart/form-data" });
+  }, [source, file, submit]);
+
+  const saveNameError = actionData?.actionName === "saveTemplate" && !actionData.success
+    ? actionData.errors?.find((error) => error.field?.includes("name"))?.message
+    : undefined;
+  const generalErrors = actionData && !actionData.success
+    ? actionData.errors?.filter((error) => !error.field?.includes("name") && !error.field?.includes("newMenuTitle") && !error.field?.some((field) => field.startsWith("param_")))
+    : null;
+
+  const rowMarkup = templates.map((template, index) => (
+    <IndexTable.Row id={template.id} key={template.id} position={index} selected={template.id === selectedTemplate?.id}>
+      <IndexTable.Cell>
+        <Link to={`/app/templates?template=${template.id}`}>
+          <Text as="span" fontWeight="semibold">{template.name}</Text>
+        </Link>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{template.sourceMenuTitle || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{template.itemCount}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="100">{template.placeholders.map((placeholder) => (<Badge key={placeholder}>{placeholder}</Badge>))}</InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(template.updatedAt).toLocaleString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Menu templates" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {actionData?.success && (
+              <Banner title="Done" tone="success">
+                <p>{actionData.message}</p>
+                {actionData.unmatched?.length > 0 && (<p>{`No matching resource was found for ${actionData.unmatched.join(", ")}; these items link to a plain URL instead.`}</p>)}
+              </Banner>
+            )}
+            {generalErrors?.length > 0 && (<Banner title="Error" tone="critical"><BlockStack gap="100">{generalErrors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</BlockStack></Banner>)}
+            {loaderErrors && (<Banner title="Error loading menus" tone="critical">{loaderErrors.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>)}
+
+            {selectedTemplate && (
+              <SelectedTemplate key={selectedTemplate.id} template={selectedTemplate} actionData={actionData} submittingAction={submittingAction} />
+            )}
+
+            <Card>
+              {templates.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: "template", plural: "templates" }}
+                  itemCount={templates.length}
+                  selectable={false}
+                  headings={[{ title: "Name" }, { title: "Saved from" }, { title: "Items" }, { title: "Placeholders" }, { title: "Updated" }]}
+                >
+                  {rowMarkup}
+                </IndexTable>
+              ) : (
+                <Box paddingBlock="400">
+                  <EmptyState heading="No templates yet" image="">
+                    <p>Save a menu or an export file as a template to reuse it later.</p>
+                  </EmptyState>
+                </Box>
+              )}
+            </Card>
+
+            <Card>
+              <RemixForm method="post" encType="multipart/form-data" onSubmit={handleSave}>
+                <FormLayout>
+                  <Text as="h2" variant="headingMd">Save as template</Text>
+                  <ChoiceList
+                    title="Source"
+                    choices={[{ label: "A menu in this store", value: "menu" }, { label: "An export file (JSON or CSV)", value: "file" }]}
+                    selected={source}
+                    onChange={setSource}
+                  />
+                  {source[0] === "menu" ? (
+                    <Select label="Menu" options={menuOptions} value={menuId} onChange={setMenuId} name="menuId" />
+                  ) : (
+                    <DropZone label="Export file" allowMultiple={false} accept=".json,.csv" onDrop={handleDrop}>
+                      {file ? <Box padding="300"><Text as="p">{file.name}</Text></Box> : <DropZone.FileUpload actionHint="or drop a file to save as a template" />}
+                    </DropZone>
+                  )}
+                  <TextField label="Template name" name="name" value={name} onChange={setName} autoComplete="off" error={saveNameError} />
+                  <InlineStack>
+                    <Button variant="primary" submit loading={submittingAction === "saveTemplate"} disabled={!name.trim() || (source[0] === "file" ? !file : !menuId)}>Save template</Button>
+                  </InlineStack>
+                </FormLayout>
+              </RemixForm>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
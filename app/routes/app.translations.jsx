@@ -0,0 +1,211 @@
+// app/routes/app.translations.jsx
+
+import { useState, useCallback, useEffect } from "react";
+import { unstable_createMemoryUploadHandler, unstable_parseMultipartFormData } from "@remix-run/node";
+import {
+  Form as RemixForm,
+  useActionData,
+  useFetcher,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Banner,
+  Box,
+  BlockStack,
+  InlineStack,
+  Button,
+  Select,
+  DropZone,
+  Badge,
+  FormLayout,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchAllMenus } from "../menus.server";
+import { fetchMenuTree, truncationErrors } from "../menu-tree.server";
+import { buildTranslationsCsv, fetchTranslationLocales, importTranslationsCsv } from "../menu-translations.server";
+import { downloadFile } from "../download-file";
+import { responseOutcome, withAuditLog } from "../audit-log.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const { menus, errors } = await fetchAllMenus(admin);
+  const { primaryLocale, locales, errors: localeErrors } = await fetchTranslationLocales(admin);
+  return Response.json({ menus, primaryLocale, locales, errors: errors || localeErrors });
+};
+
+// Menus are read with item IDs, which the translation API needs
+async function fetchTranslatableMenu(admin, menuId) {
+  const { menu, truncated, errors } = await fetchMenuTree(admin, menuId, { withItemIds: true });
+  if (errors || !menu) return { menu: null, errors: errors || [{ message: "Menu not found." }] };
+  if (truncated.length > 0) return { menu: null, errors: truncationErrors(truncated) };
+  return { menu, errors: null };
+}
+
+const handleAction = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const contentType = request.headers.get("Content-Type") || "";
+  let formData;
+  if (contentType.includes("multipart/form-data")) {
+    const uploadHandler = unstable_createMemoryUploadHandler({ maxPartSize: 5_000_000 });
+    formData = await unstable_parseMultipartFormData(request, uploadHandler);
+  } else {
+    formData = await request.formData();
+  }
+  const actionName = formData.get("_action");
+  const menuId = formData.get("menuId")?.toString();
+
+  if (!menuId) {
+    return Response.json({ actionName, success: false, errors: [{ field: ["menuId"], message: "Choose a menu." }] });
+  }
+
+  try {
+    const { locales, errors: localeErrors } = await fetchTranslationLocales(admin);
+    if (localeErrors) {
+      return Response.json({ actionName, success: false, errors: localeErrors });
+    }
+    if (locales.length === 0) {
+      return Response.json({ actionName, success: false, errors: [{ message: "This store has no published languages besides its default language." }] });
+    }
+    const { menu, errors } = await fetchTranslatableMenu(admin, menuId);
+    if (errors) {
+      return Response.json({ actionName, success: false, errors });
+    }
+
+    if (actionName === "exportTranslations") {
+      const csv = await buildTranslationsCsv(admin, menu, locales);
+      return Response.json({ actionName, success: true, csv, fileName: `${menu.handle}-translations.csv` });
+    }
+
+    if (actionName === "importTranslations") {
+      const uploadedFile = formData.get("translationsFile");
+      if (!uploadedFile || typeof uploadedFile === "string" || uploadedFile.size === 0) {
+        return Response.json({ actionName, success: false, errors: [{ field: ["file"], message: "Choose a translations file." }] });
+      }
+      const { registered, warnings, errors: importErrors } = await importTranslationsCsv(admin, menu, await uploadedFile.text(), locales);
+      return Response.json({
+        actionName,
+        success: importErrors.length === 0,
+        message: `Saved ${registered} translation(s) for ${menu.title}.`,
+        warnings,
+        errors: importErrors,
+      });
+    }
+
+    return Response.json({ actionName, success: false, errors: [{ message: "Unknown action." }] });
+  } catch (error) {
+    console.error(`Error in ${actionName} action:`, error);
+    if (error instanceof Response) throw error;
+    return Response.json({ actionName, success: false, errors: [{ message: error.message || "An unexpected error occurred." }] });
+  }
+};
+
+export const action = withAuditLog(handleAction, ({ formData, body }) => {
+  const menuId = formData.get("menuId");
+  if (body.actionName === "exportTranslations") return { action: "exportTranslations", sourceMenuId: menuId, ...responseOutcome(body) };
+  if (body.actionName === "importTranslations") return { action: "importTranslations", targetMenuId: menuId, ...responseOutcome(body) };
+  return null;
+});
+
+export default function MenuTranslations() {
+  const { menus, primaryLocale, locales, errors: loaderErrors } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const exportFetcher = useFetcher();
+
+  const menuOptions = menus?.map((menu) => ({ label: `${menu.title} (${menu.handle})`, value: menu.id })) || [];
+  const [exportMenuId, setExportMenuId] = useState(menuOptions[0]?.value || "");
+  const [importMenuId, setImportMenuId] = useState(menuOptions[0]?.value || "");
+  const [file, setFile] = useState(null);
+
+  const isImporting = navigation.state === "submitting" && navigation.formData?.get("_action") === "importTranslations";
+  const isExporting = exportFetcher.state !== "idle";
+
+  useEffect(() => {
+    if (exportFetcher.data?.success) {
+      downloadFile(exportFetcher.data.csv, "text/csv", exportFetcher.data.fileName);
+    }
+  }, [exportFetcher.data]);
+
+  const handleExport = useCallback(() => {
+    exportFetcher.submit({ _action: "exportTranslations", menuId: exportMenuId }, { method: "post" });
+  }, [exportFetcher, exportMenuId]);
+
+  const handleDrop = useCallback((_dropFiles, acceptedFiles) => setFile(acceptedFiles?.[0] || null), []);
+
+  // DropZone keeps the file in state rather than in a named input, so add it to the submission here
+  const handleImport = useCallback((event) => {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    formData.set("_action", "importTranslations");
+    if (file) formData.set("translationsFile", file);
+    submit(formData, { method: "post", encType: "multipart/form-data" });
+  }, [file, submit]);
+
+  return (
+    <Page>
+      <TitleBar title="Menu translations" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {loaderErrors && (<Banner title="Error loading menus or languages" tone="critical">{loaderErrors.map((e, i) => <Text as="p" key={i}>{e.message}</Text>)}</Banner>)}
+            <Card>
+              <BlockStack gap="200">
+                <Text as="p">Translation files have one row per menu item and one column per published language. The title column holds the {primaryLocale ? `default (${primaryLocale})` : "default"} title and is used to check each row still matches its item.</Text>
+                <InlineStack gap="100">
+                  {locales.length > 0
+                    ? locales.map(({ locale, name }) => (<Badge key={locale}>{`${name} (${locale})`}</Badge>))
+                    : <Text as="span" tone="subdued">No other published languages.</Text>}
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <FormLayout>
+                <Text as="h2" variant="headingMd">Export translations</Text>
+                <Select label="Menu" options={menuOptions} value={exportMenuId} onChange={setExportMenuId} />
+                {exportFetcher.data && !exportFetcher.data.success && (
+                  <Banner title="Export failed" tone="critical">{exportFetcher.data.errors?.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</Banner>
+                )}
+                <InlineStack>
+                  <Button onClick={handleExport} loading={isExporting} disabled={!exportMenuId || locales.length === 0}>Download translations (CSV)</Button>
+                </InlineStack>
+              </FormLayout>
+            </Card>
+
+            <Card>
+              <RemixForm method="post" encType="multipart/form-data" onSubmit={handleImport}>
+                <FormLayout>
+                  <Text as="h2" variant="headingMd">Import translations</Text>
+                  <Select label="Menu" options={menuOptions} value={importMenuId} onChange={setImportMenuId} name="menuId" />
+                  <DropZone label="Translations file" allowMultiple={false} accept=".csv" onDrop={handleDrop}>
+                    {file ? <Box padding="300"><Text as="p">{file.name}</Text></Box> : <DropZone.FileUpload actionHint="or drop a translations CSV" />}
+                  </DropZone>
+                  <InlineStack>
+                    <Button variant="primary" submit loading={isImporting} disabled={!importMenuId || !file || locales.length === 0}>Import translations</Button>
+                  </InlineStack>
+                </FormLayout>
+              </RemixForm>
+              {actionData?.actionName === "importTranslations" && (
+                <Box paddingBlockStart="400">
+                  <BlockStack gap="200">
+                    {actionData.message && (<Banner title="Import finished" tone={actionData.success ? "success" : "warning"}><p>{actionData.message}</p></Banner>)}
+                    {actionData.warnings?.length > 0 && (<Banner title="Some rows were skipped" tone="warning"><BlockStack gap="100">{actionData.warnings.map((warning, index) => (<Text as="p" key={index}>{warning}</Text>))}</BlockStack></Banner>)}
+                    {actionData.errors?.length > 0 && (<Banner title="Errors" tone="critical"><BlockStack gap="100">{actionData.errors.map((error, index) => (<Text as="p" key={index}>{error.message}</Text>))}</BlockStack></Banner>)}
+                  </BlockStack>
+                </Box>
+              )}
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -1,5 +1,8 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { stopShopSchedules } from "../models/MenuSchedule.server";
+import { stopShopMenuJobs } from "../models/MenuJob.server";
+import { revokeShopApiTokens } from "../models/ApiToken.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +15,21 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Snapshots, templates and the audit log are kept in case the app is reinstalled;
+  // Shopify sends shop/redact 48 hours after uninstall, which deletes them.
+  // Nothing may keep acting on the shop in the meantime.
+  const stopped = await stopShopSchedules(shop, "The app was uninstalled.");
+  if (stopped > 0) {
+    console.log(`Stopped ${stopped} menu schedule(s) for ${shop}`);
+  }
+  const stoppedJobs = await stopShopMenuJobs(shop, "The app was uninstalled.");
+  if (stoppedJobs > 0) {
+    console.log(`Stopped ${stoppedJobs} menu job(s) for ${shop}`);
+  }
+  const revoked = await revokeShopApiTokens(shop);
+  if (revoked > 0) {
+    console.log(`Revoked ${revoked} API token(s) for ${shop}`);
+  }
+
   return new Response();
 };
@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { summarizeShopData } from "../shop-data.server";
+
+// The app stores no customer data, so the report to the merchant is that nothing
+// is held for the customer. The shop's stored data is logged for reference.
+export const action = async ({ request }) => {
+  const { shop, topic, payload } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}: no customer data is stored for customer ${payload.customer?.id}`);
+  console.log(`Data stored for ${shop}:`, await summarizeShopData(shop));
+
+  return new Response();
+};
@@ -0,0 +1,11 @@
+import { authenticate } from "../shopify.server";
+
+// The app stores menus, snapshots, templates and staff audit entries, but no
+// customer data, so there is nothing to delete for a customer.
+export const action = async ({ request }) => {
+  const { shop, topic, payload } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}: no customer data is stored for customer ${payload.customer?.id}`);
+
+  return new Response();
+};
@@ -0,0 +1,14 @@
+import { authenticate } from "../shopify.server";
+import { deleteShopData } from "../shop-data.server";
+
+// Sent 48 hours after a shop uninstalls the app. Everything stored for the shop is deleted.
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const deleted = await deleteShopData(shop);
+  console.log(`Deleted stored data for ${shop}:`, deleted);
+
+  return new Response();
+};
@@ -0,0 +1,40 @@
+// app/shop-data.server.js
+// Everything the app stores belongs to a single shop. These helpers back the
+// uninstall and compliance webhooks, so new shop-scoped tables belong here too.
+import db from "./db.server";
+
+// Counts stored rows per table, for data requests and logs
+export async function summarizeShopData(shop) {
+  const [sessions, snapshots, schedules, templates, auditEntries, jobs, apiTokens] = await Promise.all([
+    db.session.count({ where: { shop } }),
+    db.menuSnapshot.count({ where: { shop } }),
+    db.menuSchedule.count({ where: { shop } }),
+    db.menuTemplate.count({ where: { shop } }),
+    db.menuAuditLog.count({ where: { shop } }),
+    db.menuJob.count({ where: { shop } }),
+    db.apiToken.count({ where: { shop } }),
+  ]);
+  return { sessions, snapshots, schedules, templates, auditEntries, jobs, apiTokens };
+}
+
+// Deletes every row stored for the shop. Returns the deleted counts per table.
+export async function deleteShopData(shop) {
+  const [sessions, snapshots, schedules, templates, auditEntries, jobs, apiTokens] = await db.$transaction([
+    db.session.deleteMany({ where: { shop } }),
+    db.menuSnapshot.deleteMany({ where: { shop } }),
+    db.menuSchedule.deleteMany({ where: { shop } }),
+    db.menuTemplate.deleteMany({ where: { shop } }),
+    db.menuAuditLog.deleteMany({ where: { shop } }),
+    db.menuJob.deleteMany({ where: { shop } }),
+    db.apiToken.deleteMany({ where: { shop } }),
+  ]);
+  return {
+    sessions: sessions.count,
+    snapshots: snapshots.count,
+    schedules: schedules.count,
+    templates: templates.count,
+    auditEntries: auditEntries.count,
+    jobs: jobs.count,
+    apiTokens: apiTokens.count,
+  };
+}
@@ -16,6 +16,9 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  // Requests from the admin run as the signed-in staff member, which the audit
+  // log records. Background work uses the shop's offline session.
+  useOnlineTokens: true,
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
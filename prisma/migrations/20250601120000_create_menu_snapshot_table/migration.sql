@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "MenuSnapshot" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "menuId" TEXT NOT NULL,
+    "menuTitle" TEXT NOT NULL,
+    "menuHandle" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "items" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "MenuSnapshot_shop_menuId_idx" ON "MenuSnapshot"("shop", "menuId");
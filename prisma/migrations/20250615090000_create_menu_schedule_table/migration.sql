@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "MenuSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "targetMenuId" TEXT NOT NULL,
+    "targetMenuTitle" TEXT NOT NULL,
+    "targetMenuHandle" TEXT NOT NULL,
+    "sourceMenuId" TEXT NOT NULL,
+    "sourceMenuTitle" TEXT NOT NULL,
+    "startsAt" DATETIME NOT NULL,
+    "endsAt" DATETIME,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "originalItems" TEXT,
+    "lastError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "MenuSchedule_shop_idx" ON "MenuSchedule"("shop");
+
+-- CreateIndex
+CREATE INDEX "MenuSchedule_status_startsAt_idx" ON "MenuSchedule"("status", "startsAt");
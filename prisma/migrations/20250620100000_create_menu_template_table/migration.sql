@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "MenuTemplate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "sourceMenuTitle" TEXT,
+    "items" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MenuTemplate_shop_name_key" ON "MenuTemplate"("shop", "name");
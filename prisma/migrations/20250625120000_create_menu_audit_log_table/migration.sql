@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "MenuAuditLog" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "firstName" TEXT,
+    "action" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'app',
+    "sourceMenuId" TEXT,
+    "targetMenuId" TEXT,
+    "outcome" TEXT NOT NULL,
+    "userErrors" TEXT,
+    "message" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "MenuAuditLog_shop_createdAt_idx" ON "MenuAuditLog"("shop", "createdAt");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "MenuJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "input" TEXT NOT NULL,
+    "steps" TEXT NOT NULL,
+    "staff" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "MenuJob_shop_idx" ON "MenuJob"("shop");
+
+-- CreateIndex
+CREATE INDEX "MenuJob_status_createdAt_idx" ON "MenuJob"("status", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "MenuJob" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'app';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "MenuTemplate" ADD COLUMN "sourceDomains" TEXT;
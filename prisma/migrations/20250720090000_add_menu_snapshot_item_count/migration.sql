@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "MenuSnapshot" ADD COLUMN "itemCount" INTEGER NOT NULL DEFAULT 0;
+
+-- Every item in a stored tree is a JSON object, and tags are strings, so counting objects counts nested items too
+UPDATE "MenuSnapshot" SET "itemCount" = (
+  SELECT COUNT(*) FROM json_tree("MenuSnapshot"."items") WHERE json_tree.type = 'object'
+) WHERE json_valid("items");
+
+-- CreateIndex
+CREATE INDEX "MenuSnapshot_shop_createdAt_idx" ON "MenuSnapshot"("shop", "createdAt");